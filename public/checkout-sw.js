@@ -0,0 +1,28 @@
+/*
+ * The checkout's service worker.
+ *
+ * The build generates service-worker.js, which loads workbox and precaches
+ * the app shell (index.html, scripts and styles); this worker pulls it in
+ * and adds a network-first cache of charges fetched by code, so a checkout
+ * reloaded without a connection still shows its address, amount and QR code.
+ */
+importScripts('service-worker.js')
+
+// API requests for one charge, like GET /charges/E4N8R2XC; not the app's own
+// /charges/:code pages, which are navigations, nor the /events streams
+var CHARGE_PATH = /\/charges\/[A-Za-z0-9]+$/
+
+workbox.routing.registerRoute(
+  function (context) {
+    var request = context.event.request
+    return request.method === 'GET' && request.mode !== 'navigate' && CHARGE_PATH.test(context.url.pathname)
+  },
+  new workbox.strategies.NetworkFirst({
+    cacheName: 'charges',
+    // flaky connections answer slowly rather than not at all
+    networkTimeoutSeconds: 5,
+    plugins: [
+      new workbox.expiration.Plugin({ maxEntries: 50, maxAgeSeconds: 24 * 3600 }),
+    ],
+  })
+)
@@ -0,0 +1,64 @@
+/*
+ * Host page snippet for embedding the checkout in an iframe.
+ *
+ *   <script src="https://checkout.example.com/embed.js"></script>
+ *   <script>
+ *     ResthooksCheckout.open('E4N8R2XC', {
+ *       onEvent: function (event) { console.log(event.type, event.code) }
+ *     })
+ *   </script>
+ *
+ * The checkout only talks to origins in its REACT_APP_EMBED_ORIGINS, so add
+ * the host page's origin there. Events are the checkout's embed messages:
+ * charge:payment-detected, charge:confirmed, charge:failed, charge:underpaid,
+ * charge:overpaid, charge:delayed, charge:canceled and checkout:closed. The
+ * iframe is removed once the checkout closes.
+ */
+(function () {
+  var SOURCE = 'resthooks-checkout'
+  var VERSION = 1
+
+  // the checkout is served from wherever this script is
+  var script = document.currentScript
+  var checkoutOrigin = new URL(script ? script.src : window.location.href).origin
+
+  function open(code, options) {
+    options = options || {}
+    var onEvent = options.onEvent || function () {}
+
+    var iframe = document.createElement('iframe')
+    iframe.src = checkoutOrigin + '/charges/' + encodeURIComponent(code) +
+      '?origin=' + encodeURIComponent(window.location.origin)
+    iframe.title = 'Checkout'
+    iframe.setAttribute('allow', 'clipboard-write')
+    iframe.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;border:0;z-index:2147483647;'
+
+    function close() {
+      window.removeEventListener('message', receive)
+      if (iframe.parentNode) {
+        iframe.parentNode.removeChild(iframe)
+      }
+    }
+
+    function receive(event) {
+      var data = event.data
+      // only our own iframe, and only messages this snippet understands
+      if (event.origin !== checkoutOrigin || event.source !== iframe.contentWindow) {
+        return
+      }
+      if (!data || data.source !== SOURCE || data.version !== VERSION) {
+        return
+      }
+      onEvent({ type: data.type, code: data.code })
+      if (data.type === 'checkout:closed') {
+        close()
+      }
+    }
+
+    window.addEventListener('message', receive)
+    document.body.appendChild(iframe)
+    return { close: close }
+  }
+
+  window.ResthooksCheckout = { open: open }
+})()
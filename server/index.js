@@ -0,0 +1,345 @@
+/*
+ * Local charges API for development and tests.
+ *
+ * Serves the collections in db.json over a small REST interface that mirrors
+ * the production charges API closely enough for the checkout to run offline.
+ * Changes are kept in memory; restart the server to get back to db.json.
+ *
+ *   node server [path/to/db.json]
+ *
+ * API_PORT (default 3001) sets the port and MAINTENANCE=true starts the
+ * server in maintenance mode.
+ *
+ * GET /charges/:code/events streams a charge as Server-Sent Events: its
+ * current state right away, then again on every change. POST
+ * /__charges/:code/timeline appends a timeline entry to fake payment
+ * progress and pushes the result to those streams.
+ */
+const http = require('http')
+const path = require('path')
+const fs = require('fs')
+const { URL } = require('url')
+
+const EXPIRATION_TIME = 3600 // one hour
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE = 100
+const CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+const HEARTBEAT_INTERVAL = 15000 // keeps proxies from closing idle streams
+
+const dbPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'db.json'))
+const db = JSON.parse(fs.readFileSync(dbPath, 'utf8'))
+let maintenance = process.env.MAINTENANCE === 'true'
+
+// sample charges still awaiting payment get a fresh quote window,
+// otherwise they would all show as expired in the checkout
+const freshQuote = (charge) => {
+  const now = new Date()
+  charge.createdAt = now.toISOString()
+  charge.expiresAt = new Date(now.getTime() + EXPIRATION_TIME * 1000).toISOString()
+  charge.timeline = [{ status: 'NEW', time: charge.createdAt }]
+}
+
+db.charges
+  .filter(charge => charge.timeline.every(entry => entry.status === 'NEW'))
+  .forEach(freshQuote)
+
+// likewise the sample rates would look stale to the checkout
+db.exchangeRates = db.exchangeRates || []
+db.exchangeRates.forEach(rate => {
+  rate.updatedAt = new Date().toISOString()
+})
+
+class HttpError extends Error {
+  constructor(status, type, message) {
+    super(message)
+    this.status = status
+    this.type = type
+  }
+}
+
+/// a response other than 200 with the handler's result
+class Reply {
+  constructor(status, body) {
+    this.status = status
+    this.body = body
+  }
+}
+
+/// open event streams by charge code
+const streams = new Map()
+
+const writeEvent = (res, charge) => {
+  res.write(`event: charge\ndata: ${JSON.stringify(charge)}\n\n`)
+}
+
+/// a response that stays open, pushing the charge whenever it changes
+class EventStream {
+  constructor(charge) {
+    this.charge = charge
+  }
+
+  open(req, res) {
+    const { code } = this.charge
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    })
+    writeEvent(res, this.charge)
+    if (!streams.has(code)) {
+      streams.set(code, new Set())
+    }
+    streams.get(code).add(res)
+    const intervalId = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL)
+    req.on('close', () => {
+      clearInterval(intervalId)
+      streams.get(code).delete(res)
+    })
+  }
+}
+
+/// pushes a changed charge to everyone streaming it
+const notify = (charge) => {
+  (streams.get(charge.code) || []).forEach(res => writeEvent(res, charge))
+  return charge
+}
+
+const notFound = (what) => new HttpError(404, 'not_found', `${what} not found`)
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    // lets the client correct for clock skew
+    'Access-Control-Expose-Headers': 'Date',
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = ''
+  req.on('data', chunk => { data += chunk })
+  req.on('end', () => {
+    if (!data) {
+      resolve({})
+      return
+    }
+    try {
+      resolve(JSON.parse(data))
+    } catch (e) {
+      reject(new HttpError(400, 'invalid_request', 'request body is not valid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+const randomCode = () => (
+  Array.from({ length: 8 }, () => CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)]).join('')
+)
+
+const generateCode = () => {
+  const taken = new Set(db.charges.map(charge => charge.code))
+  let code = randomCode()
+  while (taken.has(code)) {
+    code = randomCode()
+  }
+  return code
+}
+
+/// numeric keys are ids, anything else is an order code
+const findCharge = (idOrCode) => {
+  const charge = db.charges.find(charge => (
+    String(charge.id) === idOrCode || charge.code === idOrCode
+  ))
+  if (!charge) {
+    throw notFound(`charge ${idOrCode}`)
+  }
+  return charge
+}
+
+const latestStatus = (charge) => {
+  const latest = charge.timeline[charge.timeline.length - 1]
+  return latest ? latest.status : undefined
+}
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10)
+  return number > 0 ? number : fallback
+}
+
+/*
+ * Newest charges first, filtered by latest status and by a search on code
+ * or name, one page at a time.
+ */
+const listCharges = ({ query }) => {
+  const code = query.get('code')
+  const status = query.get('status')
+  const search = (query.get('search') || '').trim().toLowerCase()
+  const limit = Math.min(positiveInt(query.get('limit'), DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  const page = positiveInt(query.get('page'), 1)
+
+  const charges = db.charges
+    .filter(charge => !code || charge.code === code)
+    .filter(charge => !status || latestStatus(charge) === status)
+    .filter(charge => !search || (
+      charge.code.toLowerCase().includes(search) || charge.name.toLowerCase().includes(search)
+    ))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+  return {
+    data: charges.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: charges.length,
+      totalPages: Math.max(1, Math.ceil(charges.length / limit)),
+    },
+  }
+}
+
+const getCharge = ({ params }) => findCharge(params.idOrCode)
+
+const createCharge = ({ body }) => {
+  const { name, description = '', pricingType, localPrice } = body
+  if (!name) {
+    throw new HttpError(400, 'invalid_request', 'name is required')
+  }
+  if (!['fixed_price', 'no_price'].includes(pricingType)) {
+    throw new HttpError(400, 'invalid_request', 'pricingType must be fixed_price or no_price')
+  }
+  if (pricingType === 'fixed_price' && !(localPrice && localPrice.amount && localPrice.currency)) {
+    throw new HttpError(400, 'invalid_request', 'localPrice is required for fixed_price charges')
+  }
+  const now = new Date()
+  const charge = {
+    id: Math.max(0, ...db.charges.map(charge => charge.id)) + 1,
+    code: generateCode(),
+    name,
+    description,
+    pricingType,
+    pricing: pricingType === 'fixed_price' ? { local: localPrice } : {},
+    addresses: {},
+    payments: [],
+    timeline: [{ status: 'NEW', time: now.toISOString() }],
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + EXPIRATION_TIME * 1000).toISOString(),
+  }
+  db.charges.push(charge)
+  return new Reply(201, charge)
+}
+
+const cancelCharge = ({ params }) => {
+  const charge = findCharge(params.idOrCode)
+  // the same rules as the checkout's canCancelCharge: the merchant has to
+  // take the customer back somewhere, and nobody may have paid yet
+  if (!charge.cancelUrl) {
+    throw new HttpError(400, 'invalid_request', `charge ${charge.code} can't be canceled`)
+  }
+  if (charge.timeline.some(entry => entry.status !== 'NEW')) {
+    throw new HttpError(400, 'invalid_request', `charge ${charge.code} can no longer be canceled`)
+  }
+  charge.timeline.push({ status: 'CANCELED', time: new Date().toISOString() })
+  return notify(charge)
+}
+
+const streamCharge = ({ params }) => new EventStream(findCharge(params.idOrCode))
+
+/*
+ * Dev switch faking what the blockchain watchers do: appends
+ * { status, context?, payment? } to a charge's timeline. A payment is a
+ * full payment record; it's added to the charge, or replaces the one with
+ * the same transactionId, e.g. to bump its confirmations.
+ */
+const pushTimelineEntry = ({ params, body }) => {
+  const charge = findCharge(params.idOrCode)
+  const { status, context, payment } = body
+  if (!status) {
+    throw new HttpError(400, 'invalid_request', 'status is required')
+  }
+  const entry = { time: new Date().toISOString(), status }
+  if (context) {
+    entry.context = context
+  }
+  if (payment) {
+    if (!payment.network || !payment.transactionId) {
+      throw new HttpError(400, 'invalid_request', 'payment needs a network and a transactionId')
+    }
+    charge.payments = charge.payments.filter(existing => existing.transactionId !== payment.transactionId)
+    charge.payments.push(payment)
+    entry.payment = { network: payment.network, transactionId: payment.transactionId }
+  }
+  charge.timeline.push(entry)
+  return notify(charge)
+}
+
+/// a local currency's USD value, as in { from: 1.00 EUR, to: 1.10 USD }
+const getExchangeRate = ({ params }) => {
+  const currency = params.currency.toUpperCase()
+  const rate = db.exchangeRates.find(rate => rate.currency === currency)
+  if (!rate) {
+    throw notFound(`exchange rate for ${currency}`)
+  }
+  return rate
+}
+
+const setMaintenance = (enabled) => () => {
+  maintenance = enabled
+  return new Reply(204)
+}
+
+const routes = [
+  ['GET', /^\/charges$/, listCharges],
+  ['POST', /^\/charges$/, createCharge],
+  ['GET', /^\/charges\/(?<idOrCode>[^/]+)$/, getCharge],
+  ['POST', /^\/charges\/(?<idOrCode>[^/]+)\/cancel$/, cancelCharge],
+  ['GET', /^\/charges\/(?<idOrCode>[^/]+)\/events$/, streamCharge],
+  ['GET', /^\/exchange-rates\/(?<currency>[A-Za-z]+)$/, getExchangeRate],
+  // dev switches, always reachable
+  ['POST', /^\/__maintenance$/, setMaintenance(true)],
+  ['DELETE', /^\/__maintenance$/, setMaintenance(false)],
+  ['POST', /^\/__charges\/(?<idOrCode>[^/]+)\/timeline$/, pushTimelineEntry],
+]
+
+const handle = async (req) => {
+  const url = new URL(req.url, 'http://localhost')
+  const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname))
+  if (!route) {
+    throw notFound(`${req.method} ${url.pathname}`)
+  }
+  const [, pattern, handler] = route
+  if (maintenance && !url.pathname.startsWith('/__')) {
+    throw new HttpError(503, 'maintenance', 'The API is down for scheduled maintenance')
+  }
+  const params = pattern.exec(url.pathname).groups || {}
+  const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {}
+  const result = await handler({ params, query: url.searchParams, body })
+  return result instanceof Reply || result instanceof EventStream ? result : new Reply(200, result)
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204)
+    return
+  }
+  handle(req).then((result) => {
+    if (result instanceof EventStream) {
+      result.open(req, res)
+    } else {
+      send(res, result.status, result.body)
+    }
+  }).catch((err) => {
+    if (!(err instanceof HttpError)) {
+      console.error(err)
+      err = new HttpError(500, 'internal_server_error', 'Internal server error')
+    }
+    send(res, err.status, { error: { type: err.type, message: err.message } })
+  })
+})
+
+const port = Number(process.env.API_PORT) || 3001
+server.listen(port, () => {
+  console.log(`charges API serving ${dbPath} on http://localhost:${port}`)
+})
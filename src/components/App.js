@@ -1,14 +1,79 @@
-import React, { Suspense } from 'react'
+import React, { Suspense, useCallback, useState } from 'react'
+import { NetworkErrorBoundary } from 'rest-hooks'
 import styled from 'styled-components'
-import { ChargeDisplay } from 'containers'
+import { ChargeDisplay, ChargeList, ChargeUnavailable } from 'containers'
+import { useLocation } from 'hooks'
+import { EMBED_EVENTS, IS_EMBEDDED, sendEmbedEvent } from 'utils/embed'
+import { CHARGE_LIST_PATH, chargePath, matchChargePath, navigate } from 'utils/location'
+import ChargeLookup from './ChargeLookup'
+import NetworkError from './NetworkError'
+import OfflineBanner from './OfflineBanner'
 
+const Link = styled.a``
 const Wrapper = styled.div``
 
-export default () => (
-  <Wrapper>
-    <Suspense fallback={() => <div>`Loading`</div>}>
-      aa
-      <ChargeDisplay />
-    </Suspense>
-  </Wrapper>
-)
+const goHome = () => navigate('/')
+
+/// remounting the boundary retries a charge that failed to load
+const ChargePage = ({ code, network }) => {
+  const [attempt, setAttempt] = useState(0)
+  /// an embedded checkout has nowhere to go back to; the host page closes it
+  const onExit = useCallback(() => {
+    if (IS_EMBEDDED) {
+      sendEmbedEvent(EMBED_EVENTS.close, code)
+    } else {
+      goHome()
+    }
+  }, [code])
+  const onRecover = useCallback(() => setAttempt(attempt => attempt + 1), [])
+  const Fallback = useCallback(({ error }) => (
+    <ChargeUnavailable error={error} code={code} onRecover={onRecover} />
+  ), [code, onRecover])
+  return (
+    <NetworkErrorBoundary key={attempt} fallbackComponent={Fallback}>
+      <Suspense fallback={<div>{'Loading'}</div>}>
+        <ChargeDisplay code={code} network={network} onExit={onExit} />
+      </Suspense>
+    </NetworkErrorBoundary>
+  )
+}
+
+const Page = ({ pathname, search }) => {
+  const code = matchChargePath(pathname)
+  const query = new URLSearchParams(search)
+  if (code) {
+    return <ChargePage key={code} code={code} network={query.get('network')} />
+  }
+  if (pathname === CHARGE_LIST_PATH) {
+    return (
+      <NetworkErrorBoundary key={search} fallbackComponent={NetworkError}>
+        <Suspense fallback={<div>{'Loading'}</div>}>
+          <ChargeList
+            status={query.get('status') || ''}
+            search={query.get('search') || ''}
+            page={parseInt(query.get('page'), 10) || 1}
+          />
+        </Suspense>
+      </NetworkErrorBoundary>
+    )
+  }
+  return (
+    <>
+      <ChargeLookup onSubmit={code => navigate(chargePath(code))} />
+      <Link href={CHARGE_LIST_PATH} onClick={(e) => {
+        e.preventDefault()
+        navigate(CHARGE_LIST_PATH)
+      }}>{'All charges'}</Link>
+    </>
+  )
+}
+
+export default () => {
+  const location = useLocation()
+  return (
+    <Wrapper>
+      <OfflineBanner />
+      <Page {...location} />
+    </Wrapper>
+  )
+}
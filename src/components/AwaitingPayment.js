@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { networkName } from 'utils/currencies'
+import { formatMoney, formatPrice, parseMoney } from 'utils/money'
+import { paymentUri } from 'utils/paymentUri'
+import CopyButton from './CopyButton'
+import CurrencyIcon from './CurrencyIcon'
+import QrCode from './QrCode'
+import WalletPayment from './WalletPayment'
+
+const Title = styled.h2`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`
+const Label = styled.p``
+const Value = styled.p`
+  word-break: break-all;
+  font-variant-numeric: tabular-nums;
+`
+const Hint = styled.p``
+const Field = styled.div``
+const Link = styled.a``
+const Button = styled.button``
+const Wrapper = styled.div``
+
+/// `price` defaults to the charge's price on the picked network
+export default ({ charge, pickedNetwork, wallet, price = charge.pricing[pickedNetwork] }) => {
+  /// null keeps the QR modal out of the tree
+  const [qr, setQr] = useState(null)
+  const address = charge.addresses[pickedNetwork]
+  const uri = paymentUri(pickedNetwork, address, price)
+  return (
+    <Wrapper>
+      <Title>
+        <CurrencyIcon currency={price ? price.currency : pickedNetwork.toUpperCase()} />
+        {price ? `Send ${networkName(pickedNetwork)}` : `Send any amount of ${networkName(pickedNetwork)}`}
+      </Title>
+      {!price && (
+        <Hint>{'There is no set price, so send as much as you like. Any amount sent to this address counts.'}</Hint>
+      )}
+      {price && (
+        <Field>
+          <Label>{'amount'}</Label>
+          <Value>{formatPrice(price)}</Value>
+          <CopyButton text={formatMoney(parseMoney(price), { grouping: false })} label='Copy amount' />
+        </Field>
+      )}
+      <Field>
+        <Label>{'address'}</Label>
+        <Value>{address}</Value>
+        <CopyButton text={address} label='Copy address' />
+      </Field>
+      {uri && (
+        <Field>
+          <Link href={uri}>{'Open in wallet'}</Link>
+          <Button onClick={() => setQr('fadeIn')}>{'Show QR code'}</Button>
+        </Field>
+      )}
+      {wallet && wallet.canPay && <WalletPayment {...wallet} />}
+      {uri && qr && (
+        <QrCode
+          uri={uri}
+          state={qr}
+          onClose={() => setQr('fadeOut')}
+          onClosed={() => setQr(null)}
+        />
+      )}
+    </Wrapper>
+  )
+}
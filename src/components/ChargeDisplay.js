@@ -1,24 +1,115 @@
 import React from 'react'
 import styled from 'styled-components'
+import { isUnpriced } from 'utils/charge'
+import { formatMoney, formatPrice } from 'utils/money'
+import AwaitingPayment from './AwaitingPayment'
+import ChargeTimeline from './ChargeTimeline'
+import DonationReceived from './DonationReceived'
+import ExpirationCountdown from './ExpirationCountdown'
+import Maintenance from './Maintenance'
+import NetworkPicker from './NetworkPicker'
+import UnresolvedPayment from './UnresolvedPayment'
+
+const STEP_MESSAGES = {
+    oauth: 'Continue to Coinbase to complete your payment.',
+    pendingPayment: 'Payment detected. Waiting for the network to pick it up.',
+    waitingForConfirmations: 'Payment detected. Waiting for confirmations.',
+    successfulPayment: 'Payment complete. Thank you!',
+    failedPayment: 'This payment could not be processed.',
+    canceledPayment: 'This payment was canceled.',
+    processingCancellation: 'Canceling payment…',
+}
 
 const Label = styled.p``
 const Value = styled.p``
 const Field = styled.div``
 const Content = styled.div``
 const Header = styled.div``
+const Button = styled.button``
+const Notice = styled.p``
+const Estimate = styled.span`
+    margin-left: 8px;
+    color: #8a919e;
+`
 const Wrapper = styled.div``
 
+/// local prices in other currencies get an estimate in USD, once there's a rate
+const Price = ({ local, usdAmount }) => (
+    <Value>
+        {formatPrice(local)}
+        {local.currency !== 'USD' && usdAmount !== null && (
+            <Estimate>{`≈ $${formatMoney(usdAmount)} USD`}</Estimate>
+        )}
+    </Value>
+)
+
+/// a payment may be on its way once the customer is past these steps
+const CANCELABLE_STEPS = ['networkPicker', 'awaitingPayment']
+
+const Step = (props) => {
+    switch (props.step) {
+        case 'networkPicker':
+            return <NetworkPicker {...props} />
+        case 'awaitingPayment':
+            return <AwaitingPayment {...props} />
+        case 'successfulPayment':
+            if (isUnpriced(props.charge)) {
+                return <DonationReceived payments={props.payments} />
+            }
+            return <Content>{STEP_MESSAGES[props.step]}</Content>
+        case 'underpaidPayment':
+        case 'overpaidPayment':
+        case 'delayedPayment':
+            return <UnresolvedPayment {...props} />
+        case 'maintenance':
+            return <Maintenance />
+        default:
+            return <Content>{STEP_MESSAGES[props.step]}</Content>
+    }
+}
+
 export default (props) => (
     <Wrapper>
         <Header>
             <Field>
-                <Label>{'id'}</Label>
-                <Value>{props.id}</Value>
+                <Label>{'name'}</Label>
+                <Value>{props.charge.name}</Value>
             </Field>
-        </Header>
-        <Content>
             <Field>
+                <Label>{'code'}</Label>
+                <Value>{props.charge.code}</Value>
+            </Field>
+            {props.charge.pricing.local && (
+                <Field>
+                    <Label>{'price'}</Label>
+                    <Price local={props.charge.pricing.local} usdAmount={props.usdAmount} />
+                </Field>
+            )}
+            {isUnpriced(props.charge) && (
+                <Field>
+                    <Label>{'price'}</Label>
+                    <Value>{'any amount'}</Value>
+                </Field>
+            )}
+            <Field>
+                <Label>{'status'}</Label>
+                <Value>{props.status}</Value>
             </Field>
-        </Content>
+        </Header>
+        {props.expiration.isAwaitingPayment && props.expiration.hasQuote && (
+            <ExpirationCountdown {...props.expiration} />
+        )}
+        {props.pollStatus === 'error' && (
+            <Notice>{'Having trouble reaching the server. Your payment status may be out of date.'}</Notice>
+        )}
+        <Step {...props} />
+        {props.children}
+        <ChargeTimeline timeline={props.charge.timeline} />
+        {props.canGoBack && (
+            <Button onClick={props.goBack}>{'Back'}</Button>
+        )}
+        {props.canCancel && CANCELABLE_STEPS.includes(props.step) && (
+            <Button onClick={props.onCancel}>{'Cancel payment'}</Button>
+        )}
     </Wrapper>
 )
@@ -0,0 +1,87 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { CHARGE_STATUSES, chargeStatus } from 'utils/charge'
+import { formatPrice } from 'utils/money'
+
+const FILTER_STATUSES = CHARGE_STATUSES.filter(status => status !== 'RESOLVED')
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '')
+
+const formatChargePrice = (charge) => {
+  const { local } = charge.pricing
+  return local ? formatPrice(local) : 'any amount'
+}
+
+const Table = styled.table``
+const Row = styled.tr`
+  cursor: pointer;
+`
+const Cell = styled.td``
+const HeaderCell = styled.th`
+  text-align: left;
+`
+const Filters = styled.form``
+const Select = styled.select``
+const Input = styled.input``
+const Button = styled.button``
+const Pages = styled.div``
+const Wrapper = styled.div``
+
+export default ({ charges, pagination, status, search, onFilter, onPage, onOpen }) => {
+  const [searchText, setSearchText] = useState(search)
+  return (
+    <Wrapper>
+      <Filters onSubmit={(e) => {
+        e.preventDefault()
+        onFilter({ status, search: searchText.trim() })
+      }}>
+        <Select value={status} onChange={e => onFilter({ status: e.target.value, search })}>
+          <option value="">{'All statuses'}</option>
+          {FILTER_STATUSES.map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </Select>
+        <Input
+          type="search"
+          placeholder="Code or name"
+          value={searchText}
+          onChange={e => setSearchText(e.target.value)}
+        />
+        <Button type="submit">{'Search'}</Button>
+      </Filters>
+      <Table>
+        <thead>
+          <tr>
+            <HeaderCell>{'Code'}</HeaderCell>
+            <HeaderCell>{'Name'}</HeaderCell>
+            <HeaderCell>{'Status'}</HeaderCell>
+            <HeaderCell>{'Price'}</HeaderCell>
+            <HeaderCell>{'Created'}</HeaderCell>
+            <HeaderCell>{'Expires'}</HeaderCell>
+          </tr>
+        </thead>
+        <tbody>
+          {charges.map(charge => (
+            <Row key={charge.code} onClick={() => onOpen(charge.code)}>
+              <Cell>{charge.code}</Cell>
+              <Cell>{charge.name}</Cell>
+              <Cell>{chargeStatus(charge)}</Cell>
+              <Cell>{formatChargePrice(charge)}</Cell>
+              <Cell>{formatTime(charge.createdAt)}</Cell>
+              <Cell>{formatTime(charge.expiresAt)}</Cell>
+            </Row>
+          ))}
+        </tbody>
+      </Table>
+      <Pages>
+        <Button disabled={pagination.page <= 1} onClick={() => onPage(pagination.page - 1)}>
+          {'Previous'}
+        </Button>
+        {` Page ${pagination.page} of ${pagination.totalPages} (${pagination.total} charges) `}
+        <Button disabled={pagination.page >= pagination.totalPages} onClick={() => onPage(pagination.page + 1)}>
+          {'Next'}
+        </Button>
+      </Pages>
+    </Wrapper>
+  )
+}
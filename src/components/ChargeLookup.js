@@ -0,0 +1,23 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+
+const Label = styled.label``
+const Input = styled.input``
+const Button = styled.button``
+const Form = styled.form``
+
+export default ({ onSubmit }) => {
+  const [code, setCode] = useState('')
+  return (
+    <Form onSubmit={(e) => {
+      e.preventDefault()
+      if (code.trim()) {
+        onSubmit(code.trim().toUpperCase())
+      }
+    }}>
+      <Label htmlFor="charge-code">{'Charge code'}</Label>
+      <Input id="charge-code" value={code} onChange={e => setCode(e.target.value)} />
+      <Button type="submit">{'Look up'}</Button>
+    </Form>
+  )
+}
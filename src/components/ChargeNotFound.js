@@ -0,0 +1,18 @@
+import React from 'react'
+import styled from 'styled-components'
+import NetworkError from './NetworkError'
+
+const Title = styled.h2``
+const Message = styled.p``
+const Wrapper = styled.div``
+
+export default ({ error }) => (
+  error.status === 404 ? (
+    <Wrapper>
+      <Title>{'Charge not found'}</Title>
+      <Message>{'Check the payment link you followed; it may have been mistyped or removed.'}</Message>
+    </Wrapper>
+  ) : (
+    <NetworkError error={error} />
+  )
+)
@@ -0,0 +1,81 @@
+import React from 'react'
+import styled from 'styled-components'
+import { networkName } from 'utils/currencies'
+
+const UNRESOLVED_CONTEXTS = {
+  UNDERPAID: 'The payment was less than the amount due.',
+  OVERPAID: 'The payment was more than the amount due.',
+  DELAYED: 'The payment arrived after the price quote expired.',
+  MULTIPLE: 'More than one payment was sent.',
+  MANUAL: 'The merchant marked the charge as unresolved.',
+  OTHER: 'There was a problem with the payment.',
+}
+
+const STATUSES = {
+  NEW: { glyph: '○', color: '#8a919e', explanation: () => 'Charge created. Waiting for a payment.' },
+  PENDING: {
+    glyph: '◔',
+    color: '#1652f0',
+    explanation: ({ payment }) => (payment
+      ? `Payment detected on the ${networkName(payment.network)} network. Waiting for confirmations.`
+      : 'Payment detected. Waiting for confirmations.'),
+  },
+  COMPLETED: { glyph: '✓', color: '#05b169', explanation: () => 'Payment confirmed. The charge is complete.' },
+  RESOLVED: { glyph: '✓', color: '#05b169', explanation: () => 'The merchant accepted the payment and resolved the charge.' },
+  UNRESOLVED: {
+    glyph: '!',
+    color: '#f4c622',
+    explanation: ({ context }) => UNRESOLVED_CONTEXTS[context] || 'There was a problem with the payment.',
+  },
+  EXPIRED: { glyph: '×', color: '#df5f67', explanation: () => 'The price quote expired before a payment was detected.' },
+  CANCELED: { glyph: '×', color: '#df5f67', explanation: () => 'The charge was canceled.' },
+}
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '')
+
+const Icon = styled.span`
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  flex: none;
+  width: 24px;
+  height: 24px;
+  margin-right: 12px;
+  border-radius: 50%;
+  color: #fff;
+  font-weight: bold;
+  background: ${props => props.color};
+`
+const Status = styled.p``
+const Time = styled.time`
+  color: #8a919e;
+`
+const Explanation = styled.p``
+const Details = styled.div``
+const Entry = styled.li`
+  display: flex;
+  align-items: flex-start;
+`
+const Wrapper = styled.ol`
+  list-style: none;
+  padding: 0;
+`
+
+/// everything that happened to a charge, oldest first
+export default ({ timeline }) => (
+  <Wrapper>
+    {timeline.map((entry, index) => {
+      const status = STATUSES[entry.status] || { glyph: '?', color: '#8a919e', explanation: () => '' }
+      return (
+        <Entry key={`${index}-${entry.status}`}>
+          <Icon color={status.color} aria-hidden>{status.glyph}</Icon>
+          <Details>
+            <Status>{entry.context ? `${entry.status} (${entry.context})` : entry.status}</Status>
+            <Time dateTime={entry.time}>{formatTime(entry.time)}</Time>
+            <Explanation>{status.explanation(entry)}</Explanation>
+          </Details>
+        </Entry>
+      )
+    })}
+  </Wrapper>
+)
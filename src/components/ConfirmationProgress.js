@@ -0,0 +1,61 @@
+import React from 'react'
+import styled from 'styled-components'
+import { confirmationProgress } from 'utils/charge'
+
+/// rounded up, so the estimate errs on the long side
+export const formatDuration = (seconds) => {
+  if (seconds < 60) {
+    return 'under a minute'
+  }
+  const minutes = Math.ceil(seconds / 60)
+  if (minutes < 60) {
+    return `about ${minutes} min`
+  }
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes - hours * 60
+  return rest ? `about ${hours} h ${rest} min` : `about ${hours} h`
+}
+
+const formatBlockTime = (seconds) => (seconds < 60 ? `${seconds} s` : `${Math.round(seconds / 60)} min`)
+
+const Label = styled.p`
+  font-variant-numeric: tabular-nums;
+`
+const Hint = styled.p`
+  color: #8a919e;
+`
+const Track = styled.div`
+  height: 4px;
+  background: #e6e8eb;
+  border-radius: 2px;
+  overflow: hidden;
+`
+const Progress = styled.div`
+  height: 100%;
+  background: #1652f0;
+  transition: width 1s linear;
+`
+const Wrapper = styled.div``
+
+/*
+ * A payment's confirmations so far, with a rough time to go so customers
+ * can tell a slow network from a stuck payment.
+ */
+export default ({ payment }) => {
+  const { confirmations, confirmationsRequired, isConfirmed, blockTime, secondsRemaining } = confirmationProgress(payment)
+  const percentage = confirmationsRequired ? Math.min(100, (confirmations / confirmationsRequired) * 100) : 100
+  return (
+    <Wrapper>
+      <Label>{`${confirmations} of ${confirmationsRequired} confirmations`}</Label>
+      <Track>
+        <Progress style={{ width: `${percentage}%` }} />
+      </Track>
+      {!isConfirmed && blockTime !== null && (
+        <Hint>
+          {`Blocks come every ~${formatBlockTime(blockTime)} on this network, `}
+          {`so ${formatDuration(secondsRemaining)} to go.`}
+        </Hint>
+      )}
+    </Wrapper>
+  )
+}
@@ -0,0 +1,26 @@
+import React, { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { copyToClipboard } from 'utils/clipboard'
+
+const COPIED_DURATION = 2000
+
+const Button = styled.button``
+
+export default ({ text, label = 'Copy' }) => {
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (!copied) {
+      return
+    }
+    const timeoutId = setTimeout(() => setCopied(false), COPIED_DURATION)
+    return () => clearTimeout(timeoutId)
+  }, [copied])
+
+  const onClick = () => {
+    copyToClipboard(text).then(() => setCopied(true), (error) => {
+      console.error('copy', error)
+    })
+  }
+  return <Button onClick={onClick}>{copied ? 'Copied' : label}</Button>
+}
@@ -0,0 +1,27 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const ICONS = {
+  BTC: { glyph: '₿', color: '#f7931a' },
+  BCH: { glyph: 'Ƀ', color: '#8dc351' },
+  ETH: { glyph: 'Ξ', color: '#627eea' },
+  LTC: { glyph: 'Ł', color: '#345d9d' },
+  USDC: { glyph: '$', color: '#2775ca' },
+}
+
+const Circle = styled.span`
+  display: inline-flex;
+  align-items: center;
+  justify-content: center;
+  width: 32px;
+  height: 32px;
+  border-radius: 50%;
+  color: #fff;
+  font-weight: bold;
+  background: ${props => props.color};
+`
+
+export default ({ currency }) => {
+  const icon = ICONS[currency] || { glyph: currency.charAt(0), color: '#8a919e' }
+  return <Circle color={icon.color} aria-hidden>{icon.glyph}</Circle>
+}
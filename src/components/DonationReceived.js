@@ -0,0 +1,33 @@
+import React from 'react'
+import styled from 'styled-components'
+import { amountsReceived } from 'utils/charge'
+import { formatMoney } from 'utils/money'
+
+const formatAmount = (money) => `${formatMoney(money)} ${money.currency}`
+
+const Title = styled.h2``
+const Message = styled.p``
+const Estimate = styled.span`
+  margin-left: 8px;
+  color: #8a919e;
+`
+const Wrapper = styled.div``
+
+/// charges without a price thank the customer for whatever their payments brought in
+export default ({ payments }) => {
+  const { crypto, local } = amountsReceived(payments || [])
+  const sameAsLocal = local && crypto.length === 1 && crypto[0].currency === local.currency
+  return (
+    <Wrapper>
+      <Title>{'Thank you!'}</Title>
+      {crypto.length ? (
+        <Message>
+          {`We received ${crypto.map(formatAmount).join(' and ')}.`}
+          {local && !sameAsLocal && <Estimate>{`≈ ${formatAmount(local)}`}</Estimate>}
+        </Message>
+      ) : (
+        <Message>{'Your payment was received.'}</Message>
+      )}
+    </Wrapper>
+  )
+}
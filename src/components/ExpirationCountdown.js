@@ -0,0 +1,29 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const Label = styled.p`
+  font-variant-numeric: tabular-nums;
+`
+const Track = styled.div`
+  height: 4px;
+  background: #e6e8eb;
+  border-radius: 2px;
+  overflow: hidden;
+`
+const Progress = styled.div`
+  height: 100%;
+  background: ${props => (props.percentage > 90 ? '#df5f67' : '#1652f0')};
+  transition: width 1s linear;
+`
+const Wrapper = styled.div``
+
+export default ({ timeToExpiration, expirationPercentage, secondsToExpiration }) => (
+  <Wrapper>
+    <Label>
+      {secondsToExpiration > 0 ? `Price expires in ${timeToExpiration}` : 'Price quote expired'}
+    </Label>
+    <Track>
+      <Progress percentage={expirationPercentage} style={{ width: `${expirationPercentage}%` }} />
+    </Track>
+  </Wrapper>
+)
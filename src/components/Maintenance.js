@@ -0,0 +1,16 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const Title = styled.h2``
+const Message = styled.p``
+const Wrapper = styled.div``
+
+export default () => (
+  <Wrapper>
+    <Title>{'Down for maintenance'}</Title>
+    <Message>
+      {'Checkout is briefly unavailable while we make improvements. '}
+      {'Keep this page open; it will pick up where you left off as soon as we are back.'}
+    </Message>
+  </Wrapper>
+)
@@ -0,0 +1,17 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const Title = styled.h2``
+const Message = styled.p``
+const Wrapper = styled.div``
+
+export default ({ error }) => (
+  <Wrapper>
+    <Title>{'Something went wrong'}</Title>
+    <Message>
+      {error.status
+        ? `The server answered ${error.status}${error.response && error.response.statusText ? ` ${error.response.statusText}` : ''}.`
+        : 'The server could not be reached.'}
+    </Message>
+  </Wrapper>
+)
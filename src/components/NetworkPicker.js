@@ -0,0 +1,52 @@
+import React from 'react'
+import styled from 'styled-components'
+import { networkCurrency, networkName } from 'utils/currencies'
+import { formatPrice } from 'utils/money'
+import CurrencyIcon from './CurrencyIcon'
+import PayWithCoinbase from './PayWithCoinbase'
+
+const Name = styled.span``
+const Amount = styled.span`
+  margin-left: auto;
+  font-variant-numeric: tabular-nums;
+`
+const Option = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  width: 100%;
+  text-align: left;
+`
+const Options = styled.div``
+const Title = styled.h2``
+const Wrapper = styled.div``
+
+const NetworkOption = ({ network, price, onPick }) => {
+  const currency = networkCurrency(network)
+  return (
+    <Option onClick={() => onPick(network)}>
+      <CurrencyIcon currency={currency} />
+      <Name>{`${networkName(network)} (${currency})`}</Name>
+      {price && <Amount>{formatPrice(price)}</Amount>}
+    </Option>
+  )
+}
+
+export default ({ charge, networks, pickNetwork, payWithCoinbase, pwcb }) => (
+  <Wrapper>
+    <Title>{'Select a currency'}</Title>
+    <Options>
+      {networks.map(network => (
+        <NetworkOption
+          key={network}
+          network={network}
+          price={charge.pricing[network]}
+          onPick={pickNetwork}
+        />
+      ))}
+      {pwcb.visible && (
+        <PayWithCoinbase enabled={pwcb.enabled} error={pwcb.error} onClick={payWithCoinbase} />
+      )}
+    </Options>
+  </Wrapper>
+)
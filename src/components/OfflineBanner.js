@@ -0,0 +1,23 @@
+import React from 'react'
+import styled from 'styled-components'
+import { useOnlineStatus } from 'hooks'
+
+const Banner = styled.p`
+  margin: 0;
+  padding: 8px 16px;
+  background: #f4c622;
+  text-align: center;
+`
+
+/// the checkout keeps showing what it last loaded while the connection is down
+export default () => {
+  const online = useOnlineStatus()
+  if (online) {
+    return null
+  }
+  return (
+    <Banner role='status'>
+      {"You're offline. Payment details are still shown, and the status updates once you're back online."}
+    </Banner>
+  )
+}
@@ -0,0 +1,27 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const Button = styled.button`
+  width: 100%;
+  &:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+  }
+`
+const ErrorTitle = styled.strong``
+const ErrorMessage = styled.p``
+const Error = styled.div``
+const Wrapper = styled.div``
+
+/// the Pay with Coinbase option; unusable ones stay visible with their error
+export default ({ enabled, error, onClick }) => (
+  <Wrapper>
+    <Button disabled={!enabled} onClick={onClick}>{'Pay with Coinbase'}</Button>
+    {error && (
+      <Error role='alert'>
+        <ErrorTitle>{error.title}</ErrorTitle>
+        <ErrorMessage>{error.message}</ErrorMessage>
+      </Error>
+    )}
+  </Wrapper>
+)
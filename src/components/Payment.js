@@ -0,0 +1,30 @@
+import React from 'react'
+import styled from 'styled-components'
+import { formatPrice } from 'utils/money'
+import ConfirmationProgress from './ConfirmationProgress'
+
+const Label = styled.p``
+const Value = styled.p``
+const Field = styled.div``
+const Wrapper = styled.div``
+
+export default ({ payment }) => (
+  <Wrapper>
+    <Field>
+      <Label>{'transaction'}</Label>
+      <Value>{payment.transactionId}</Value>
+    </Field>
+    <Field>
+      <Label>{'amount'}</Label>
+      <Value>{payment.value.crypto && formatPrice(payment.value.crypto)}</Value>
+    </Field>
+    <Field>
+      <Label>{'status'}</Label>
+      <Value>{payment.status}</Value>
+    </Field>
+    <Field>
+      <Label>{'confirmations'}</Label>
+      <ConfirmationProgress payment={payment} />
+    </Field>
+  </Wrapper>
+)
@@ -0,0 +1,49 @@
+import React from 'react'
+import QRCode from 'qrcode.react'
+import styled, { keyframes } from 'styled-components'
+
+const fadeIn = keyframes`
+  from { opacity: 0; }
+  to { opacity: 1; }
+`
+const fadeOut = keyframes`
+  from { opacity: 1; }
+  to { opacity: 0; }
+`
+
+const Backdrop = styled.div`
+  position: fixed;
+  top: 0;
+  right: 0;
+  bottom: 0;
+  left: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.4);
+  animation: ${props => (props.state === 'fadeOut' ? fadeOut : fadeIn)} 0.2s ease forwards;
+`
+const Dialog = styled.div`
+  padding: 24px;
+  border-radius: 8px;
+  background: #fff;
+  text-align: center;
+`
+const Button = styled.button``
+
+/*
+ * QR modal for `uri`. `state` is 'fadeIn' or 'fadeOut'; once the fade out
+ * animation ends `onClosed` should drop the modal from the tree altogether.
+ */
+export default ({ uri, state, onClose, onClosed }) => (
+  <Backdrop
+    state={state}
+    onClick={onClose}
+    onAnimationEnd={() => state === 'fadeOut' && onClosed()}
+  >
+    <Dialog role='dialog' data-uri={uri} onClick={e => e.stopPropagation()}>
+      <QRCode value={uri} size={224} renderAs='svg' includeMargin />
+      <Button onClick={onClose}>{'Close'}</Button>
+    </Dialog>
+  </Backdrop>
+)
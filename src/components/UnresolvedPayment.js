@@ -0,0 +1,82 @@
+import React from 'react'
+import styled from 'styled-components'
+import { paymentBalance } from 'utils/charge'
+import { formatMoney, toDecimalString } from 'utils/money'
+import AwaitingPayment from './AwaitingPayment'
+
+const formatAmount = (money) => `${formatMoney(money)} ${money.currency}`
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '')
+
+const Title = styled.h2``
+const Message = styled.p``
+const Wrapper = styled.div``
+
+/// the rest of an underpaid charge can still go to the same address
+const Underpaid = ({ charge, payment, balance }) => (
+  <Wrapper>
+    <Title>{'Payment incomplete'}</Title>
+    {balance && balance.shortfall ? (
+      <>
+        <Message>
+          {`You sent ${formatAmount(balance.paid)}, which is ${formatAmount(balance.shortfall)} short of `}
+          {`the ${formatAmount(balance.due)} due.`}
+        </Message>
+        <Message>{'Send the remaining amount to the same address to complete your payment.'}</Message>
+        <AwaitingPayment
+          charge={charge}
+          pickedNetwork={payment.network}
+          price={{ amount: toDecimalString(balance.shortfall), currency: balance.shortfall.currency }}
+        />
+      </>
+    ) : (
+      <Message>{'Your payment was less than the amount due.'}</Message>
+    )}
+  </Wrapper>
+)
+
+const Overpaid = ({ charge, balance }) => (
+  <Wrapper>
+    <Title>{'Payment received'}</Title>
+    <Message>
+      {balance && balance.excess
+        ? `You sent ${formatAmount(balance.paid)}, which is ${formatAmount(balance.excess)} more than `
+          + `the ${formatAmount(balance.due)} due.`
+        : 'Your payment was more than the amount due.'}
+    </Message>
+    <Message>
+      {'Refunds are made by the merchant, not by this checkout. '}
+      {`Contact them with your charge code ${charge.code} and a refund address to get the extra amount back.`}
+    </Message>
+  </Wrapper>
+)
+
+const Delayed = ({ charge }) => (
+  <Wrapper>
+    <Title>{'Payment arrived late'}</Title>
+    <Message>
+      {`Your payment arrived after the price quote expired at ${formatTime(charge.expiresAt)}. `}
+      {'Since prices move, the merchant has to accept the payment or refund it.'}
+    </Message>
+    <Message>{`Contact them with your charge code ${charge.code} if you don't hear back.`}</Message>
+  </Wrapper>
+)
+
+/*
+ * Explains an unresolved charge. `step` is one of 'underpaidPayment',
+ * 'overpaidPayment' or 'delayedPayment'; amounts count every payment sent on
+ * the network of the one the checkout follows.
+ */
+export default ({ step, charge, payment, payments }) => {
+  const balance = paymentBalance(charge, payments, payment && payment.network)
+  switch (step) {
+    case 'underpaidPayment':
+      return <Underpaid charge={charge} payment={payment} balance={balance} />
+    case 'overpaidPayment':
+      return <Overpaid charge={charge} balance={balance} />
+    case 'delayedPayment':
+      return <Delayed charge={charge} />
+    default:
+      return null
+  }
+}
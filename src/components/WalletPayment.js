@@ -0,0 +1,52 @@
+import React from 'react'
+import styled from 'styled-components'
+
+const Message = styled.p``
+const Button = styled.button``
+const Wrapper = styled.div``
+
+const describe = (status) => {
+  switch (status.which) {
+    case 'asking':
+      return 'Approve the connection in your wallet.'
+    case 'declined':
+      return `The ${status.currency} payment was declined in your wallet.`
+    case 'submitted':
+      return 'Payment sent. Waiting for it to be mined…'
+    case 'mined':
+      return `Payment mined with ${status.confirmations} confirmation${status.confirmations === 1 ? '' : 's'}.`
+    case 'canceled':
+      return 'Wallet payment canceled. You can still send the payment manually.'
+    case 'failed':
+      return 'The wallet payment failed. You can still send the payment manually.'
+    case 'unsupported':
+      return 'No browser wallet was found. Send the payment manually instead.'
+    case 'wrong-chain':
+      return 'Your wallet is connected to the wrong network. Switch networks and try again.'
+    case 'no-account':
+      return 'Unlock an account in your wallet and try again.'
+    default:
+      return null
+  }
+}
+
+/// these can be cancelled to go back to paying manually
+const IN_PROGRESS = ['asking', 'submitted']
+
+export default ({ status, canRetry, requestPayment, cancel }) => {
+  const message = describe(status)
+  return (
+    <Wrapper>
+      {message && <Message role='status'>{message}</Message>}
+      {status.which === 'idle' && (
+        <Button onClick={requestPayment}>{'Pay with browser wallet'}</Button>
+      )}
+      {canRetry && (
+        <Button onClick={requestPayment}>{'Try again with browser wallet'}</Button>
+      )}
+      {IN_PROGRESS.includes(status.which) && (
+        <Button onClick={cancel}>{'Cancel'}</Button>
+      )}
+    </Wrapper>
+  )
+}
@@ -1,2 +1,21 @@
 export { default as App } from './App'
+export { default as AwaitingPayment } from './AwaitingPayment'
 export { default as ChargeDisplay } from './ChargeDisplay'
+export { default as ChargeList } from './ChargeList'
+export { default as ChargeLookup } from './ChargeLookup'
+export { default as ChargeNotFound } from './ChargeNotFound'
+export { default as ChargeTimeline } from './ChargeTimeline'
+export { default as ConfirmationProgress } from './ConfirmationProgress'
+export { default as CopyButton } from './CopyButton'
+export { default as CurrencyIcon } from './CurrencyIcon'
+export { default as DonationReceived } from './DonationReceived'
+export { default as ExpirationCountdown } from './ExpirationCountdown'
+export { default as Maintenance } from './Maintenance'
+export { default as NetworkError } from './NetworkError'
+export { default as NetworkPicker } from './NetworkPicker'
+export { default as OfflineBanner } from './OfflineBanner'
+export { default as PayWithCoinbase } from './PayWithCoinbase'
+export { default as Payment } from './Payment'
+export { default as QrCode } from './QrCode'
+export { default as UnresolvedPayment } from './UnresolvedPayment'
+export { default as WalletPayment } from './WalletPayment'
@@ -1,13 +1,44 @@
-import React from 'react'
+import React, { useCallback } from 'react'
 import { useResource } from 'rest-hooks'
 import { ChargeResource } from 'resources'
 import { ChargeDisplay } from 'components'
+import { useChargeCheckout, useCheckoutTracking, useEmbedEvents, useExpiration, useUsdAmount, useWalletPayment } from 'hooks'
+import { chargePath, replaceLocation, withQuery } from 'utils/location'
+import { payWithCoinbaseEligibility } from 'utils/payWithCoinbase'
+import Payment from './Payment'
 
-export default ({id=1}) => {
-    console.log({id})
-    const charge = useResource(ChargeResource.detailShape(), {id})
-    console.log('got charge',{charge})
+export default ({code, network, onExit}) => {
+    const charge = useResource(ChargeResource.detailByCodeShape(), {code})
+    /// keep the picked network in the URL so a reload resumes the payment;
+    /// other params, like the embedding page's ?origin=, stay as they are
+    const onNetworkChange = useCallback((pickedNetwork) => {
+        replaceLocation(withQuery(chargePath(code), {network: pickedNetwork}, window.location.search))
+    }, [code])
+    const checkout = useChargeCheckout(charge, {onExit, pickedNetwork: network, onNetworkChange})
+    useEmbedEvents(code, checkout.step)
+    useCheckoutTracking(charge, checkout.step, checkout.pickedNetwork)
+    const expiration = useExpiration(charge)
+    const wallet = useWalletPayment(charge, checkout.pickedNetwork)
+    const usdAmount = useUsdAmount(charge)
+    const onCancel = async () => {
+        const cancelUrl = await checkout.cancelCharge()
+        if (cancelUrl) {
+            window.location.assign(cancelUrl)
+        }
+    }
     return (
-        <ChargeDisplay {...charge} />
+        <ChargeDisplay
+            {...checkout}
+            charge={charge}
+            expiration={expiration}
+            wallet={wallet}
+            usdAmount={usdAmount}
+            pwcb={payWithCoinbaseEligibility(charge, {usdAmount})}
+            onCancel={onCancel}
+        >
+            {charge.payments.map(transactionId => (
+                <Payment key={transactionId} transactionId={transactionId} />
+            ))}
+        </ChargeDisplay>
     )
 }
@@ -0,0 +1,32 @@
+import React from 'react'
+import { useResource, useResultCache } from 'rest-hooks'
+import { ChargeResource } from 'resources'
+import { ChargeList } from 'components'
+import { CHARGE_LIST_PATH, chargePath, navigate, withQuery } from 'utils/location'
+
+const PAGE_SIZE = 20
+
+/// filters and page live in the query string so they survive reloads and back
+export default ({ status = '', search = '', page = 1 }) => {
+    const params = { limit: PAGE_SIZE, page }
+    if (status) {
+        params.status = status
+    }
+    if (search) {
+        params.search = search
+    }
+    const charges = useResource(ChargeResource.listShape(), params)
+    const { pagination } = useResultCache(ChargeResource.listShape(), params)
+    return (
+        <ChargeList
+            key={`${status}:${search}`}
+            charges={charges}
+            pagination={pagination}
+            status={status}
+            search={search}
+            onFilter={filters => navigate(withQuery(CHARGE_LIST_PATH, filters))}
+            onPage={page => navigate(withQuery(CHARGE_LIST_PATH, { status, search, page }))}
+            onOpen={code => navigate(chargePath(code))}
+        />
+    )
+}
@@ -0,0 +1,25 @@
+import React, { useEffect } from 'react'
+import { useFetcher } from 'rest-hooks'
+import { ChargeResource } from 'resources'
+import { ChargeNotFound, Maintenance } from 'components'
+import { SLOW_POLL_FREQUENCY } from 'managers'
+import { isMaintenanceError } from 'utils/errors'
+
+/// keeps trying while the API is in maintenance, then hands back to the checkout
+const MaintenanceRetry = ({ code, onRecover }) => {
+  const fetch = useFetcher(ChargeResource.detailByCodeShape(), true)
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      fetch(undefined, { code }).then(onRecover, () => {})
+    }, SLOW_POLL_FREQUENCY)
+    return () => clearInterval(intervalId)
+  }, [fetch, code, onRecover])
+  return <Maintenance />
+}
+
+/// fallback for a charge that could not be loaded at all
+export default ({ error, code, onRecover }) => (
+  isMaintenanceError(error)
+    ? <MaintenanceRetry code={code} onRecover={onRecover} />
+    : <ChargeNotFound error={error} />
+)
@@ -0,0 +1,10 @@
+import React, { memo } from 'react'
+import { useCache } from 'rest-hooks'
+import { PaymentResource } from 'resources'
+import { Payment } from 'components'
+
+/// re-renders only when this payment changes, not its charge
+export default memo(({ transactionId }) => {
+  const payment = useCache(PaymentResource.detailShape(), { transactionId })
+  return payment && <Payment payment={payment} />
+})
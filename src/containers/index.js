@@ -1 +1,4 @@
 export { default as ChargeDisplay } from './ChargeDisplay'
+export { default as Payment } from './Payment'
+export { default as ChargeList } from './ChargeList'
+export { default as ChargeUnavailable } from './ChargeUnavailable'
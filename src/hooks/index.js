@@ -0,0 +1,13 @@
+export { default as useChargeCheckout } from './useChargeCheckout'
+export { default as useChargePolling } from './useChargePolling'
+export { default as usePollStatus } from './usePollStatus'
+export { default as useActivePayment } from './useActivePayment'
+export { default as useChargePayments } from './useChargePayments'
+export { default as useLocation } from './useLocation'
+export { default as useCancelCharge } from './useCancelCharge'
+export { default as useExpiration } from './useExpiration'
+export { default as useWalletPayment } from './useWalletPayment'
+export { default as useUsdAmount } from './useUsdAmount'
+export { default as useEmbedEvents } from './useEmbedEvents'
+export { default as useCheckoutTracking } from './useCheckoutTracking'
+export { default as useOnlineStatus } from './useOnlineStatus'
@@ -0,0 +1,9 @@
+import { useCache } from 'rest-hooks'
+import { PaymentResource } from 'resources'
+import { activePaymentKey } from 'utils/charge'
+
+/// the payment a charge's checkout follows, straight from the cache
+export default (charge) => {
+  const transactionId = activePaymentKey(charge)
+  return useCache(PaymentResource.detailShape(), transactionId ? { transactionId } : null)
+}
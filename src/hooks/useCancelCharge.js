@@ -0,0 +1,43 @@
+import { useCallback } from 'react'
+import { useFetcher } from 'rest-hooks'
+import { ChargeResource } from 'resources'
+import { canCancelCharge } from 'utils/charge'
+
+/*
+ * Cancels a charge on the customer's behalf.
+ *
+ * cancelCharge() resolves with the merchant's cancelUrl to redirect to,
+ * whether or not the API accepted the cancellation.
+ */
+export default (charge) => {
+  const cancel = useFetcher(ChargeResource.cancelShape())
+  const { code, cancelUrl } = charge
+
+  const cancelCharge = useCallback(async () => {
+    try {
+      await cancel(undefined, { code })
+    } catch (err) {
+      console.error('cancel failed with ' + err)
+      /*
+      Errors fall in the following categories and below is the explanation as to why we ignore them.
+      4xx:
+        This means the charge was not in the correct state (i.e. New)
+        and as such cannot be canceled. The charge was already processed
+        in some other way and can only be resolved via dashboard/or admin.
+        No user interaction required.
+      5xx and others:
+        This means our server had an error or there was a network error.
+        In either case, there is no possible recovery that needs the user's attention.
+
+      We can safely ignore all these errors, as the charge will simply continue to exist and
+        the user will see it on refresh as it still exists in the local browser cache.
+      */
+    }
+    return cancelUrl
+  }, [cancel, code, cancelUrl])
+
+  return {
+    canCancel: canCancelCharge(charge),
+    cancelCharge,
+  }
+}
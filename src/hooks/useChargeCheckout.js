@@ -0,0 +1,221 @@
+import { useReducer, useEffect, useCallback } from 'react'
+import { useMeta } from 'rest-hooks'
+import { ChargeResource } from 'resources'
+import {
+  chargeNetworks,
+  chargeStatus,
+  isUnpriced,
+  shouldShowPayWithCoinbase,
+  unresolvedContext,
+} from 'utils/charge'
+import { isMaintenanceError } from 'utils/errors'
+import { loadStore, saveStore } from 'utils/localStores'
+import useChargePolling from './useChargePolling'
+import useActivePayment from './useActivePayment'
+import useChargePayments from './useChargePayments'
+import useCancelCharge from './useCancelCharge'
+
+/*
+ * ChargeStep is one of
+ *   'networkPicker' | 'oauth' | 'awaitingPayment' | 'pendingPayment'
+ *   | 'waitingForConfirmations' | 'successfulPayment' | 'failedPayment'
+ *   | 'underpaidPayment' | 'overpaidPayment' | 'delayedPayment'
+ *   | 'canceledPayment' | 'processingCancellation' | 'maintenance'
+ */
+
+/// going back from these steps leaves the checkout
+const EXITABLE_STEPS = [
+  'networkPicker',
+  'successfulPayment',
+  'failedPayment',
+  'underpaidPayment',
+  'overpaidPayment',
+  'delayedPayment',
+  'canceledPayment',
+]
+
+/// unresolved charges the checkout has a screen of its own for
+const UNRESOLVED_STEPS = {
+  UNDERPAID: 'underpaidPayment',
+  OVERPAID: 'overpaidPayment',
+  DELAYED: 'delayedPayment',
+}
+
+export const shouldSkipNetworkPicker = (charge) => (
+  !shouldShowPayWithCoinbase(charge) && chargeNetworks(charge).length === 1
+)
+
+const showStep = (state, step) => (
+  state.step === step ? state : { ...state, step }
+)
+
+const showNetworkPicker = (state, charge) => {
+  if (shouldSkipNetworkPicker(charge)) {
+    // If there is only 1 network, then don't show the network picker
+    return { ...state, step: 'awaitingPayment', pickedNetwork: chargeNetworks(charge)[0] }
+  }
+  return { ...state, step: 'networkPicker', pickedNetwork: null }
+}
+
+const processPendingPayment = (state, payment) => {
+  if (!payment) {
+    return state
+  }
+  const { confirmations, confirmationsRequired } = payment.block
+  if (confirmationsRequired <= confirmations) {
+    return showStep(state, 'successfulPayment')
+  }
+  if (confirmations === 0) {
+    return showStep(state, 'pendingPayment')
+  }
+  return showStep(state, 'waitingForConfirmations')
+}
+
+/*
+ * Use the charge's status to determine which screen should be shown.
+ */
+export const processChargeUpdate = (state, charge, payment) => {
+  switch (chargeStatus(charge)) {
+    case 'NEW':
+      // still waiting for a payment
+      // note: we wait for the actual EXPIRED status from the API rather than
+      //       guessing from the clock; customers who simply went offline or
+      //       closed their laptop should not see a failure screen.
+      return state
+    case 'PENDING':
+      // a transaction was detected.
+      // if this is an unpriced charge, confirm instantly.
+      if (isUnpriced(charge)) {
+        return showStep(state, 'successfulPayment')
+      }
+      return processPendingPayment(state, payment)
+    case 'COMPLETED':
+    case 'RESOLVED':
+      return showStep(state, 'successfulPayment')
+    case 'UNRESOLVED':
+      // overpaid, underpaid and delayed payments are explained;
+      // anything else the merchant has to sort out
+      return showStep(state, UNRESOLVED_STEPS[unresolvedContext(charge)] || 'failedPayment')
+    case 'EXPIRED':
+      return showStep(state, 'failedPayment')
+    case 'CANCELED':
+      return showStep(state, 'canceledPayment')
+    default:
+      return state
+  }
+}
+
+export const initCheckout = ({ charge, payment, pickedNetwork = null }) => {
+  const initial = { step: null, pickedNetwork: null }
+  // a network remembered from an earlier visit may no longer be offered
+  const state = pickedNetwork && chargeNetworks(charge).includes(pickedNetwork)
+    ? { ...initial, step: 'awaitingPayment', pickedNetwork }
+    : showNetworkPicker(initial, charge)
+  return processChargeUpdate(state, charge, payment)
+}
+
+/// picks up the state saved for this charge before the page was reloaded
+const initStoredCheckout = ({ charge, payment, pickedNetwork }) => {
+  const stored = loadStore(charge.code) || {}
+  return initCheckout({
+    charge,
+    payment,
+    pickedNetwork: pickedNetwork || stored.pickedNetwork,
+  })
+}
+
+export const checkoutReducer = (state, action) => {
+  switch (action.type) {
+    case 'chargeUpdate':
+      return processChargeUpdate(state, action.charge, action.payment)
+    case 'showNetworkPicker':
+      return showNetworkPicker(state, action.charge)
+    case 'pickNetwork':
+      return { ...state, step: 'awaitingPayment', pickedNetwork: action.network }
+    case 'payWithCoinbase':
+      return showStep(state, 'oauth')
+    case 'cancelCharge':
+      return showStep(state, 'processingCancellation')
+    default:
+      return state
+  }
+}
+
+/*
+ * Drives the checkout for a charge fetched with useResource().
+ *
+ * The step is derived from the charge's timeline whenever the resource
+ * changes; the returned transitions move between the steps a customer
+ * controls. `onExit` is called when going back leaves the checkout.
+ * While the checkout is on screen the charge is polled for updates.
+ *
+ * `pickedNetwork` resumes a checkout on a network picked before, and
+ * `onNetworkChange` is told whenever the picked network changes so it can
+ * be remembered across reloads. The picked network is also saved until the
+ * charge expires.
+ */
+export default (charge, { onExit = () => {}, pickedNetwork = null, onNetworkChange = () => {} } = {}) => {
+  const payment = useActivePayment(charge)
+  const payments = useChargePayments(charge)
+  const [state, dispatch] = useReducer(checkoutReducer, { charge, payment, pickedNetwork }, initStoredCheckout)
+  // maintenance covers whatever step the customer was on, so the checkout
+  // picks up right where it left off once the API answers again
+  const meta = useMeta(ChargeResource.detailByCodeShape(), { code: charge.code })
+  const step = meta && isMaintenanceError(meta.error) ? 'maintenance' : state.step
+  const pollStatus = useChargePolling(charge, step)
+
+  useEffect(() => {
+    dispatch({ type: 'chargeUpdate', charge, payment })
+  }, [charge, payment])
+
+  useEffect(() => {
+    onNetworkChange(state.pickedNetwork)
+  }, [state.pickedNetwork, onNetworkChange])
+
+  const { code, expiresAt } = charge
+  useEffect(() => {
+    saveStore(code, { pickedNetwork: state.pickedNetwork }, expiresAt)
+  }, [code, expiresAt, state.pickedNetwork])
+
+  const pickNetwork = useCallback((network) => {
+    dispatch({ type: 'pickNetwork', network })
+  }, [])
+
+  const payWithCoinbase = useCallback(() => {
+    dispatch({ type: 'payWithCoinbase' })
+  }, [])
+
+  const { canCancel, cancelCharge: requestCancellation } = useCancelCharge(charge)
+  /// the cancellation's response moves the checkout on to canceledPayment
+  const cancelCharge = useCallback(() => {
+    dispatch({ type: 'cancelCharge' })
+    return requestCancellation()
+  }, [requestCancellation])
+
+  const goBack = useCallback(() => {
+    // Pay with Coinbase is picked next to the networks, so it goes back there too
+    if (step === 'oauth' || (step === 'awaitingPayment' && !shouldSkipNetworkPicker(charge))) {
+      dispatch({ type: 'showNetworkPicker', charge })
+    } else if (step === 'awaitingPayment' || EXITABLE_STEPS.includes(step)) {
+      onExit()
+    } else {
+      throw new Error("can't go back from " + step)
+    }
+  }, [step, charge, onExit])
+
+  return {
+    ...state,
+    step,
+    status: chargeStatus(charge),
+    payment,
+    payments,
+    pollStatus,
+    networks: chargeNetworks(charge),
+    canGoBack: step === 'awaitingPayment' || step === 'oauth' || EXITABLE_STEPS.includes(step),
+    canCancel,
+    pickNetwork,
+    goBack,
+    payWithCoinbase,
+    cancelCharge,
+  }
+}
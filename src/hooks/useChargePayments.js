@@ -0,0 +1,12 @@
+import { useSelectionUnstable } from 'rest-hooks'
+import { PaymentResource } from 'resources'
+
+const selectPayments = (state, transactionIds) => {
+  const payments = state.entities[PaymentResource.getKey()] || {}
+  return transactionIds.map(transactionId => payments[transactionId]).filter(Boolean)
+}
+
+const serializeKeys = (transactionIds) => transactionIds.join(',')
+
+/// every payment of a charge found in the cache, oldest first
+export default (charge) => useSelectionUnstable(selectPayments, charge.payments, serializeKeys)
@@ -0,0 +1,42 @@
+import { useSubscription } from 'rest-hooks'
+import { ChargeResource } from 'resources'
+import { SLOW_POLL_FREQUENCY } from 'managers'
+import { chargeStatus } from 'utils/charge'
+import usePollStatus from './usePollStatus'
+
+export const TERMINAL_STATUSES = ['COMPLETED', 'RESOLVED', 'UNRESOLVED', 'EXPIRED', 'CANCELED']
+
+/// nothing is going to change while the customer is on these steps
+const SLOW_STEPS = ['networkPicker', 'maintenance']
+/// the cancellation's response decides what comes next, so stop watching;
+/// 'oauth' keeps polling, as that's how a payment sent from Coinbase shows up
+const STOPPED_STEPS = ['processingCancellation']
+/// an underpaid charge may still be topped up, so keep watching it
+const REOPENABLE_STEPS = ['underpaidPayment']
+
+const slowShape = (shape) => ({
+  ...shape,
+  options: { ...shape.options, pollFrequency: SLOW_POLL_FREQUENCY },
+})
+
+/*
+ * Keeps a charge fresh while its checkout is on screen.
+ *
+ * Polls at the resource's pollFrequency, slows down on steps where no
+ * payment can arrive and stops once the charge reaches a terminal status,
+ * unless the customer may still send the rest of an underpaid payment.
+ * Returns the PollStatus of the subscription.
+ */
+export default (charge, step) => {
+  const shape = ChargeResource.detailByCodeShape()
+  const params = { code: charge.code }
+  const settled = TERMINAL_STATUSES.includes(chargeStatus(charge)) && !REOPENABLE_STEPS.includes(step)
+  const active = !settled && !STOPPED_STEPS.includes(step)
+  const slow = SLOW_STEPS.includes(step)
+
+  // swapping between the two subscriptions changes the poll rate at runtime
+  useSubscription(shape, params, undefined, active && !slow)
+  useSubscription(slowShape(shape), params, undefined, active && slow)
+
+  return usePollStatus(shape.getFetchKey(params))
+}
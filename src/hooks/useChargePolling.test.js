@@ -0,0 +1,73 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import { useSubscription } from 'rest-hooks'
+import { SLOW_POLL_FREQUENCY } from 'managers'
+import useChargePolling from './useChargePolling'
+
+jest.mock('rest-hooks', () => ({
+  ...jest.requireActual('rest-hooks'),
+  useSubscription: jest.fn(),
+}))
+
+const chargeWith = (...statuses) => ({
+  code: 'E4N8R2XC',
+  timeline: statuses.map(status => ({ time: '2019-10-01T12:00:00Z', status })),
+})
+
+let container
+
+const Probe = ({ charge, step }) => {
+  useChargePolling(charge, step)
+  return null
+}
+
+/// the poll frequency the charge is subscribed at, null when it isn't
+const pollFrequency = (charge, step) => {
+  useSubscription.mockClear()
+  act(() => {
+    ReactDOM.render(<Probe charge={charge} step={step} />, container)
+  })
+  const active = useSubscription.mock.calls.filter(([, , , subscribed]) => subscribed)
+  expect(active.length).toBeLessThanOrEqual(1)
+  return active.length ? active[0][0].options.pollFrequency : null
+}
+
+beforeEach(() => {
+  container = document.createElement('div')
+})
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container)
+})
+
+describe('useChargePolling', () => {
+  it('polls every 2s while waiting for a payment', () => {
+    expect(pollFrequency(chargeWith('NEW'), 'awaitingPayment')).toBe(2000)
+    expect(pollFrequency(chargeWith('NEW', 'PENDING'), 'waitingForConfirmations')).toBe(2000)
+  })
+
+  it('slows down where no payment can arrive', () => {
+    expect(pollFrequency(chargeWith('NEW'), 'networkPicker')).toBe(SLOW_POLL_FREQUENCY)
+    expect(pollFrequency(chargeWith('NEW'), 'maintenance')).toBe(SLOW_POLL_FREQUENCY)
+  })
+
+  it('keeps polling while the customer pays with Coinbase', () => {
+    expect(pollFrequency(chargeWith('NEW'), 'oauth')).toBe(2000)
+  })
+
+  it('stops while a cancellation is processed', () => {
+    expect(pollFrequency(chargeWith('NEW'), 'processingCancellation')).toBe(null)
+  })
+
+  it('stops on terminal statuses', () => {
+    expect(pollFrequency(chargeWith('NEW', 'PENDING', 'COMPLETED'), 'successfulPayment')).toBe(null)
+    expect(pollFrequency(chargeWith('NEW', 'EXPIRED'), 'failedPayment')).toBe(null)
+    expect(pollFrequency(chargeWith('NEW', 'CANCELED'), 'canceledPayment')).toBe(null)
+    expect(pollFrequency(chargeWith('NEW', 'UNRESOLVED'), 'overpaidPayment')).toBe(null)
+  })
+
+  it('keeps watching an underpaid charge that may still be topped up', () => {
+    expect(pollFrequency(chargeWith('NEW', 'UNRESOLVED'), 'underpaidPayment')).toBe(2000)
+  })
+})
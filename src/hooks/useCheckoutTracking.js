@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react'
+import { setTrackingUserId, setUserProperty, track } from 'utils/tracking'
+
+const STEP_EVENTS = {
+  networkPicker: 'checkout:network-picker-shown',
+  oauth: 'checkout:pay-with-coinbase-shown',
+  awaitingPayment: 'checkout:awaiting-payment-shown',
+  pendingPayment: 'checkout:payment-detected',
+  waitingForConfirmations: 'checkout:payment-waiting-for-confirmations',
+  successfulPayment: 'checkout:payment-completed',
+  failedPayment: 'checkout:payment-failed',
+  underpaidPayment: 'checkout:payment-underpaid',
+  overpaidPayment: 'checkout:payment-overpaid',
+  delayedPayment: 'checkout:payment-delayed',
+  processingCancellation: 'checkout:cancel-requested',
+  canceledPayment: 'checkout:payment-canceled',
+  maintenance: 'checkout:maintenance-shown',
+}
+
+/*
+ * Tracks the checkout's step changes for a charge. Picking a network is
+ * tracked separately from the awaiting payment screen it leads to, which
+ * also shows when a reload resumes a payment.
+ */
+export default (charge, step, pickedNetwork) => {
+  const { code, pricingType } = charge
+  const previousStep = useRef(null)
+
+  useEffect(() => {
+    setTrackingUserId(code)
+    setUserProperty('charge_pricing_type', pricingType)
+  }, [code, pricingType])
+
+  useEffect(() => {
+    if (step === previousStep.current) {
+      return
+    }
+    const properties = { code, network: pickedNetwork, previousStep: previousStep.current }
+    if (previousStep.current === 'networkPicker' && step === 'awaitingPayment') {
+      track('checkout:currency-picked', properties)
+    }
+    if (STEP_EVENTS[step]) {
+      track(STEP_EVENTS[step], properties)
+    }
+    previousStep.current = step
+  }, [code, step, pickedNetwork])
+}
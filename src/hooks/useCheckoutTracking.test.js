@@ -0,0 +1,87 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import { addTrackingSink, memorySink } from 'utils/tracking'
+import useCheckoutTracking from './useCheckoutTracking'
+
+const charge = { code: 'E4N8R2XC', pricingType: 'fixed_price' }
+
+let container
+let sink
+let removeSink
+
+const Probe = ({ step, pickedNetwork }) => {
+  useCheckoutTracking(charge, step, pickedNetwork)
+  return null
+}
+
+const show = (step, pickedNetwork = null) => {
+  act(() => {
+    ReactDOM.render(<Probe step={step} pickedNetwork={pickedNetwork} />, container)
+  })
+}
+
+const names = () => sink.events.map(event => event.name)
+
+beforeEach(() => {
+  container = document.createElement('div')
+  sink = memorySink()
+  removeSink = addTrackingSink(sink)
+})
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container)
+  removeSink()
+})
+
+describe('useCheckoutTracking', () => {
+  it('tracks picking a currency and the screens of a completed payment', () => {
+    show('networkPicker')
+    show('awaitingPayment', 'bitcoin')
+    show('pendingPayment', 'bitcoin')
+    show('successfulPayment', 'bitcoin')
+    expect(names()).toEqual([
+      'checkout:network-picker-shown',
+      'checkout:currency-picked',
+      'checkout:awaiting-payment-shown',
+      'checkout:payment-detected',
+      'checkout:payment-completed',
+    ])
+    expect(sink.events[1].properties).toEqual({ code: 'E4N8R2XC', network: 'bitcoin', previousStep: 'networkPicker' })
+    expect(sink.events[3].properties).toEqual({ code: 'E4N8R2XC', network: 'bitcoin', previousStep: 'awaitingPayment' })
+    sink.events.forEach(event => {
+      expect(event.userId).toBe('E4N8R2XC')
+      expect(event.userProperties.charge_pricing_type).toBe('fixed_price')
+    })
+  })
+
+  it('tracks a resumed payment without a currency pick', () => {
+    show('awaitingPayment', 'ethereum')
+    expect(names()).toEqual(['checkout:awaiting-payment-shown'])
+    expect(sink.events[0].properties.previousStep).toBe(null)
+  })
+
+  it('tracks failed payments', () => {
+    show('awaitingPayment', 'bitcoin')
+    show('failedPayment', 'bitcoin')
+    expect(names()).toEqual(['checkout:awaiting-payment-shown', 'checkout:payment-failed'])
+  })
+
+  it('tracks cancellations', () => {
+    show('networkPicker')
+    show('processingCancellation')
+    show('canceledPayment')
+    expect(names()).toEqual([
+      'checkout:network-picker-shown',
+      'checkout:cancel-requested',
+      'checkout:payment-canceled',
+    ])
+  })
+
+  it('tracks a step once however often it renders', () => {
+    show('awaitingPayment', 'bitcoin')
+    show('awaitingPayment', 'bitcoin')
+    show('awaitingPayment', 'bitcoin')
+    expect(names()).toEqual(['checkout:awaiting-payment-shown'])
+  })
+})
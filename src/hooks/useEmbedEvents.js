@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react'
+import { EMBED_EVENTS, sendEmbedEvent } from 'utils/embed'
+
+const STEP_EVENTS = {
+  pendingPayment: EMBED_EVENTS.paymentDetected,
+  waitingForConfirmations: EMBED_EVENTS.paymentDetected,
+  successfulPayment: EMBED_EVENTS.success,
+  failedPayment: EMBED_EVENTS.failure,
+  underpaidPayment: EMBED_EVENTS.underpaid,
+  overpaidPayment: EMBED_EVENTS.overpaid,
+  delayedPayment: EMBED_EVENTS.delayed,
+  canceledPayment: EMBED_EVENTS.cancel,
+}
+
+/*
+ * Tells the page embedding the checkout, if any, what happened to the
+ * charge as the checkout moves through its steps. Each event is sent once
+ * per charge.
+ */
+export default (code, step) => {
+  const sent = useRef(new Set())
+
+  useEffect(() => {
+    const type = STEP_EVENTS[step]
+    if (type && !sent.current.has(type)) {
+      sent.current.add(type)
+      sendEmbedEvent(type, code)
+    }
+  }, [code, step])
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react'
+import { chargeStatus, isUnpriced } from 'utils/charge'
+import { serverNow } from 'utils/clock'
+
+const EXPIRATION_TIME = 3600 // one hour, for charges missing createdAt
+
+export const formatCountdown = (seconds) => {
+  const min = Math.floor(seconds / 60)
+  const sec = Math.floor(seconds - min * 60)
+  const zero = sec < 10 ? '0' : ''
+  return `${min}:${zero}${sec}`
+}
+
+/*
+ * Time left before a charge's quoted price runs out.
+ *
+ * Counts down against the server's clock once per second, but only while
+ * the charge is still awaiting payment. Charges without a price (donations)
+ * have no quote to run out, so `hasQuote` is false and nothing counts down.
+ */
+export default (charge) => {
+  const isAwaitingPayment = chargeStatus(charge) === 'NEW'
+  const hasQuote = !isUnpriced(charge)
+  const isCounting = isAwaitingPayment && hasQuote
+  const [now, setNow] = useState(serverNow)
+
+  useEffect(() => {
+    if (!isCounting) {
+      return
+    }
+    setNow(serverNow())
+    const intervalId = setInterval(() => setNow(serverNow()), 1000)
+    return () => clearInterval(intervalId)
+  }, [isCounting])
+
+  const expiresAt = Date.parse(charge.expiresAt) / 1000
+  const createdAt = Date.parse(charge.createdAt) / 1000
+  const duration = expiresAt - createdAt > 0 ? expiresAt - createdAt : EXPIRATION_TIME
+  const secondsToExpiration = Number.isNaN(expiresAt) ? 0 : Math.max(0, Math.floor(expiresAt - now / 1000))
+
+  return {
+    isAwaitingPayment,
+    hasQuote,
+    secondsToExpiration,
+    timeToExpiration: formatCountdown(secondsToExpiration),
+    expirationPercentage: Math.min(100, ((duration - secondsToExpiration) / duration) * 100),
+  }
+}
@@ -0,0 +1,117 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import { recordServerDate } from 'utils/clock'
+import useExpiration, { formatCountdown } from './useExpiration'
+
+const CREATED_AT = Date.parse('2019-10-01T12:00:00Z')
+const EXPIRES_AT = CREATED_AT + 3600 * 1000
+
+const chargeWith = (...statuses) => ({
+  code: 'E4N8R2XC',
+  pricingType: 'fixed_price',
+  createdAt: new Date(CREATED_AT).toISOString(),
+  expiresAt: new Date(EXPIRES_AT).toISOString(),
+  timeline: statuses.map(status => ({ time: '2019-10-01T12:00:00Z', status })),
+})
+
+let container
+let clock
+let expiration
+
+const Probe = ({ charge }) => {
+  expiration = useExpiration(charge)
+  return null
+}
+
+const render = (charge) => {
+  act(() => {
+    ReactDOM.render(<Probe charge={charge} />, container)
+  })
+}
+
+/// moves the local clock and the timers on together
+const tick = (ms) => {
+  clock += ms
+  act(() => {
+    jest.advanceTimersByTime(ms)
+  })
+}
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  clock = CREATED_AT + 10 * 60 * 1000
+  jest.spyOn(Date, 'now').mockImplementation(() => clock)
+  container = document.createElement('div')
+})
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container)
+  recordServerDate(new Date(clock).toUTCString())
+  Date.now.mockRestore()
+  jest.useRealTimers()
+})
+
+describe('formatCountdown', () => {
+  it('shows minutes and zero padded seconds', () => {
+    expect(formatCountdown(0)).toBe('0:00')
+    expect(formatCountdown(9)).toBe('0:09')
+    expect(formatCountdown(59)).toBe('0:59')
+    expect(formatCountdown(61.9)).toBe('1:01')
+    expect(formatCountdown(3600)).toBe('60:00')
+  })
+})
+
+describe('useExpiration', () => {
+  it('counts down every second while the charge awaits payment', () => {
+    render(chargeWith('NEW'))
+    expect(expiration).toMatchObject({ isAwaitingPayment: true, hasQuote: true, secondsToExpiration: 3000 })
+    expect(expiration.timeToExpiration).toBe('50:00')
+    expect(expiration.expirationPercentage).toBeCloseTo(100 / 6)
+
+    tick(1000)
+    expect(expiration.timeToExpiration).toBe('49:59')
+    tick(59000)
+    expect(expiration.timeToExpiration).toBe('49:00')
+  })
+
+  it("counts against the server's clock", () => {
+    // the server is a minute ahead of this machine
+    recordServerDate(new Date(clock + 60000).toUTCString())
+    render(chargeWith('NEW'))
+    expect(expiration.timeToExpiration).toBe('49:00')
+  })
+
+  it('stops at zero', () => {
+    clock = EXPIRES_AT - 2000
+    render(chargeWith('NEW'))
+    tick(5000)
+    expect(expiration.secondsToExpiration).toBe(0)
+    expect(expiration.expirationPercentage).toBe(100)
+  })
+
+  it('stops the timer once the charge no longer awaits payment', () => {
+    render(chargeWith('NEW'))
+    expect(setInterval).toHaveBeenCalledTimes(1)
+    const intervalId = setInterval.mock.results[0].value
+
+    render(chargeWith('NEW', 'PENDING'))
+    expect(expiration.isAwaitingPayment).toBe(false)
+    expect(clearInterval).toHaveBeenCalledWith(intervalId)
+    tick(5000)
+    expect(expiration.timeToExpiration).toBe('50:00')
+  })
+
+  it("doesn't count down for donations", () => {
+    render({ ...chargeWith('NEW'), pricingType: 'no_price' })
+    expect(expiration.hasQuote).toBe(false)
+    expect(setInterval).not.toHaveBeenCalled()
+  })
+
+  it('falls back to an hour without createdAt, and zero without expiresAt', () => {
+    render({ ...chargeWith('NEW'), createdAt: undefined })
+    expect(expiration.expirationPercentage).toBeCloseTo(100 / 6)
+    render({ ...chargeWith('NEW'), expiresAt: undefined })
+    expect(expiration.secondsToExpiration).toBe(0)
+  })
+})
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react'
+import { subscribeLocation } from 'utils/location'
+
+const current = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+})
+
+export default () => {
+  const [location, setLocation] = useState(current)
+
+  useEffect(() => subscribeLocation(() => setLocation(current())), [])
+
+  return location
+}
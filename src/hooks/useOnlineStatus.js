@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react'
+
+/// whether the browser thinks it has a connection, kept up to date
+export default () => {
+  const [online, setOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    update()
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  return online
+}
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react'
+import { getPollStatus, subscribePollStatus } from 'managers'
+
+/*
+ * PollStatus of the subscription for a fetch key:
+ * 'polling' | 'streaming' | 'stopped' | 'error'
+ */
+export default (key) => {
+  const [status, setStatus] = useState(() => getPollStatus(key))
+
+  useEffect(() => {
+    setStatus(getPollStatus(key))
+    return subscribePollStatus((changedKey, changedStatus) => {
+      if (changedKey === key) {
+        setStatus(changedStatus)
+      }
+    })
+  }, [key])
+
+  return status
+}
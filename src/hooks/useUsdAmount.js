@@ -0,0 +1,51 @@
+import { useEffect } from 'react'
+import { useCache, useRetrieve } from 'rest-hooks'
+import { ExchangeRateResource } from 'resources'
+import { serverNow } from 'utils/clock'
+import { convertMoney, parseMoney } from 'utils/money'
+
+/// older rates are too far off to quote from
+export const MAX_RATE_AGE = 60 * 60 * 1000 // one hour
+
+export const isStaleRate = (rate, now = serverNow()) => {
+  const updatedAt = Date.parse(rate.updatedAt)
+  return Number.isNaN(updatedAt) || now - updatedAt > MAX_RATE_AGE
+}
+
+/*
+ * The charge's local price as USD Money, or null while that isn't known.
+ *
+ * Non-USD prices are converted with the latest exchange rate, which is
+ * fetched in the background rather than suspending the checkout. Without a
+ * usable rate (still loading, failed or stale) there is no USD amount.
+ */
+export default (charge) => {
+  const { local } = charge.pricing
+  const needsRate = !!local && local.currency !== 'USD'
+  const params = needsRate ? { currency: local.currency } : null
+  const retrieving = useRetrieve(ExchangeRateResource.detailShape(), params)
+  const rate = useCache(ExchangeRateResource.detailShape(), params)
+
+  useEffect(() => {
+    if (retrieving) {
+      // a failed fetch just leaves us without a rate; it's retried once it expires
+      retrieving.catch(() => {})
+    }
+  }, [retrieving])
+
+  if (!local) {
+    return null
+  }
+  if (!needsRate) {
+    return parseMoney(local)
+  }
+  if (!rate || rate.from.currency !== local.currency || rate.to.currency !== 'USD' || isStaleRate(rate)) {
+    return null
+  }
+  try {
+    return convertMoney(parseMoney(local), rate)
+  } catch (error) {
+    console.error('usd amount', error)
+    return null
+  }
+}
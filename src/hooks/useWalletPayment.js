@@ -0,0 +1,211 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { CURRENCIES_BY_NETWORK, ETH_CHAIN_ID, contractInfo } from 'utils/currencies'
+import { ERC20_GAS_LIMIT, decimalToHex, encodeErc20Transfer } from 'utils/erc20'
+import { parseMoney, toBaseUnits } from 'utils/money'
+
+/*
+ * WalletStatus is one of
+ *   { which: 'idle' } | { which: 'asking' } | { which: 'declined', currency }
+ *   | { which: 'submitted', txId } | { which: 'mined', txId, confirmations }
+ *   | { which: 'canceled' } | { which: 'failed' } | { which: 'unsupported' }
+ *   | { which: 'wrong-chain' } | { which: 'no-account' }
+ */
+const IDLE = { which: 'idle' }
+/// the customer can ask the wallet again after these
+const RETRYABLE = ['wrong-chain', 'no-account', 'failed', 'canceled', 'unsupported']
+
+const RECEIPT_POLL_INTERVAL = 4000
+/// stop following the transaction once it's this deep; the charge takes over
+const MAX_CONFIRMATIONS = 12
+
+/// the token contract for ERC-20 networks, null for ether, undefined if unpayable on this chain
+const walletContract = (network) => {
+  const currency = CURRENCIES_BY_NETWORK[network]
+  if (network === 'ethereum') {
+    return null
+  }
+  return contractInfo(currency) || undefined
+}
+
+const buildTransaction = (from, to, price, contract) => {
+  if (contract) {
+    const data = encodeErc20Transfer(to, price)
+    return { from, to: contract.address, data, gas: `0x${decimalToHex(String(ERC20_GAS_LIMIT))}` }
+  }
+  // plain ETH transfer
+  const value = `0x${decimalToHex(toBaseUnits(parseMoney(price)))}`
+  return { from, to, value }
+}
+
+/*
+ * Pays a charge from a browser wallet through its EIP-1193 provider.
+ *
+ * `requestPayment` walks through connecting, checking the chain and sending
+ * the transaction, and `status` follows it until it is mined. Picking another
+ * network starts over, and `canRetry` tells when asking again is allowed;
+ * customers who declined are never asked again for that currency.
+ * `provider` defaults to the injected `window.ethereum`.
+ */
+export default (charge, network, { provider } = {}) => {
+  const [status, setStatus] = useState(IDLE)
+  const statusRef = useRef(status)
+  const declined = useRef(new Set())
+  // bumped whenever a flow under way should stop: cancels and network changes
+  const requestId = useRef(0)
+  const mounted = useRef(true)
+
+  const update = useCallback((next) => {
+    if (mounted.current) {
+      statusRef.current = next
+      setStatus(next)
+    }
+  }, [])
+
+  useEffect(() => () => {
+    mounted.current = false
+  }, [])
+
+  const decline = useCallback((currency) => {
+    declined.current.add(currency)
+    update({ which: 'declined', currency })
+  }, [update])
+
+  const to = network && charge.addresses[network]
+  const price = network && charge.pricing ? charge.pricing[network] : null
+  const contract = network && walletContract(network)
+  // web3 requires that we specify a price
+  const canPay = !!(to && price) && contract !== undefined
+  const currency = price ? price.currency : null
+
+  // another network is another payment; only a declined currency stays declined
+  useEffect(() => {
+    requestId.current++
+    update(declined.current.has(currency) ? { which: 'declined', currency } : IDLE)
+  }, [network, currency, update])
+
+  const requestPayment = useCallback(async () => {
+    const ethereum = provider || window.ethereum
+    if (!ethereum) {
+      update({ which: 'unsupported' })
+      return
+    }
+    if (!canPay) {
+      return
+    }
+    // make sure we haven't already asked them; don't want to spam
+    const current = statusRef.current
+    if (declined.current.has(currency) || !(current.which === 'idle' || RETRYABLE.includes(current.which))) {
+      return
+    }
+
+    const request = ++requestId.current
+    // the customer canceled or picked another network while we waited
+    const stale = () => request !== requestId.current
+
+    // ask if it's OK to connect
+    update({ which: 'asking' })
+    let accounts
+    try {
+      accounts = await ethereum.request({ method: 'eth_requestAccounts' })
+    } catch (e) {
+      if (!stale()) {
+        decline(currency)
+      }
+      return
+    }
+    if (stale()) {
+      return
+    }
+    if (!accounts || !accounts.length) {
+      update({ which: 'no-account' })
+      return
+    }
+    // ensure we're on the checkout's chain, where the token contract lives too
+    try {
+      const chainId = parseInt(await ethereum.request({ method: 'eth_chainId' }), 16)
+      if (stale()) {
+        return
+      }
+      if (chainId !== ETH_CHAIN_ID) {
+        console.warn('wallet: wrong chain id', chainId)
+        update({ which: 'wrong-chain' })
+        return
+      }
+    } catch (e) {
+      console.error('wallet', e)
+      if (!stale()) {
+        update({ which: 'failed' })
+      }
+      return
+    }
+    // alright let's send some money
+    let txId
+    try {
+      const tx = buildTransaction(accounts[0], to, price, contract)
+      txId = await ethereum.request({ method: 'eth_sendTransaction', params: [tx] })
+    } catch (e) {
+      console.error('wallet', e)
+      if (!stale()) {
+        decline(currency)
+      }
+      return
+    }
+    if (stale()) {
+      return
+    }
+    // some wallets resolve without a hash when the customer rejects
+    if (!txId) {
+      decline(currency)
+      return
+    }
+    update({ which: 'submitted', txId })
+  }, [provider, canPay, to, price, currency, contract, update, decline])
+
+  /// stops the flow under way; a transaction the wallet already sent still goes through
+  const cancel = useCallback(() => {
+    requestId.current++
+    update({ which: 'canceled' })
+  }, [update])
+
+  // transaction was created; monitor it
+  const txId = status.txId
+  const following = (status.which === 'submitted' || status.which === 'mined') &&
+    !(status.confirmations >= MAX_CONFIRMATIONS)
+  useEffect(() => {
+    const ethereum = provider || window.ethereum
+    if (!following || !ethereum) {
+      return
+    }
+    const check = async () => {
+      try {
+        const receipt = await ethereum.request({ method: 'eth_getTransactionReceipt', params: [txId] })
+        if (!receipt || !receipt.blockNumber || statusRef.current.txId !== txId) {
+          return
+        }
+        if (receipt.status === '0x0') {
+          update({ which: 'failed' })
+          return
+        }
+        const blockNumber = await ethereum.request({ method: 'eth_blockNumber' })
+        const confirmations = Math.max(0, parseInt(blockNumber, 16) - parseInt(receipt.blockNumber, 16))
+        if (statusRef.current.confirmations !== confirmations) {
+          update({ which: 'mined', txId, confirmations })
+        }
+      } catch (e) {
+        // the charge's own polling still picks the payment up
+        console.error('wallet receipt', e)
+      }
+    }
+    check()
+    const intervalId = setInterval(check, RECEIPT_POLL_INTERVAL)
+    return () => clearInterval(intervalId)
+  }, [provider, following, txId, update])
+
+  return {
+    canPay,
+    canRetry: RETRYABLE.includes(status.which),
+    status,
+    requestPayment,
+    cancel,
+  }
+}
@@ -0,0 +1,250 @@
+import React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import useWalletPayment from './useWalletPayment'
+
+const CUSTOMER = '0x1111111111111111111111111111111111111111'
+const ETH_ADDRESS = '0x2a3ac1a7e8a2b7b3e7fa6b2d6f2b4b29c3e1f0a7'
+const USDC_CONTRACT = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'
+const TX_ID = '0x9fc76417374aa880d4449a1f7f31ec597f00b1f6f3dd2d66f4c9c6c445836d8b'
+
+const charge = {
+  code: 'E4N8R2XC',
+  addresses: { ethereum: ETH_ADDRESS, usdc: ETH_ADDRESS },
+  pricing: {
+    ethereum: { amount: '0.055000000', currency: 'ETH' },
+    usdc: { amount: '10.000000', currency: 'USDC' },
+  },
+}
+
+/// an EIP-1193 provider answering each method from `handlers`, keeping every request in `calls`
+const fakeProvider = (handlers) => {
+  const provider = {
+    calls: [],
+    request: async ({ method, params }) => {
+      provider.calls.push({ method, params })
+      if (!handlers[method]) {
+        throw new Error(`unexpected ${method}`)
+      }
+      return handlers[method](params)
+    },
+  }
+  return provider
+}
+
+const connected = (handlers = {}) => fakeProvider({
+  eth_requestAccounts: () => [CUSTOMER],
+  eth_chainId: () => '0x1',
+  eth_sendTransaction: () => TX_ID,
+  ...handlers,
+})
+
+const sent = (provider) => provider.calls.find(call => call.method === 'eth_sendTransaction')
+
+/// lets the provider's promises settle
+const flush = () => act(async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve()
+  }
+})
+
+let container
+let wallet
+
+const Probe = ({ network, provider }) => {
+  wallet = useWalletPayment(charge, network, { provider })
+  return null
+}
+
+const render = (network, provider) => {
+  act(() => {
+    ReactDOM.render(<Probe network={network} provider={provider} />, container)
+  })
+}
+
+const pay = async () => {
+  await act(() => wallet.requestPayment())
+  await flush()
+}
+
+beforeEach(() => {
+  container = document.createElement('div')
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container)
+  jest.useRealTimers()
+  console.error.mockRestore()
+  console.warn.mockRestore()
+})
+
+describe('useWalletPayment', () => {
+  it('sends ether with its value in wei', async () => {
+    const provider = connected()
+    render('ethereum', provider)
+    expect(wallet.canPay).toBe(true)
+    await pay()
+    expect(sent(provider).params).toEqual([{ from: CUSTOMER, to: ETH_ADDRESS, value: '0xc3663566a58000' }])
+  })
+
+  it('calls transfer on the token contract for ERC-20 networks', async () => {
+    const provider = connected()
+    render('usdc', provider)
+    await pay()
+    expect(sent(provider).params).toEqual([{
+      from: CUSTOMER,
+      to: USDC_CONTRACT,
+      data: '0xa9059cbb'
+        + '0000000000000000000000002a3ac1a7e8a2b7b3e7fa6b2d6f2b4b29c3e1f0a7'
+        + '0000000000000000000000000000000000000000000000000000000000989680',
+      gas: '0x186a0',
+    }])
+  })
+
+  it('follows a submitted transaction until it is mined', async () => {
+    jest.useFakeTimers()
+    let receipt = null
+    const provider = connected({
+      eth_getTransactionReceipt: () => receipt,
+      eth_blockNumber: () => '0x12',
+    })
+    render('ethereum', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'submitted', txId: TX_ID })
+
+    receipt = { blockNumber: '0x10', status: '0x1' }
+    act(() => {
+      jest.advanceTimersByTime(4000)
+    })
+    await flush()
+    expect(wallet.status).toEqual({ which: 'mined', txId: TX_ID, confirmations: 2 })
+  })
+
+  it('fails when the transaction reverts', async () => {
+    const provider = connected({
+      eth_getTransactionReceipt: () => ({ blockNumber: '0x10', status: '0x0' }),
+    })
+    render('usdc', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'failed' })
+    expect(wallet.canRetry).toBe(true)
+  })
+
+  it("doesn't ask again for a currency the customer declined", async () => {
+    const provider = connected({
+      eth_sendTransaction: () => {
+        throw new Error('User denied transaction signature.')
+      },
+    })
+    render('ethereum', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'declined', currency: 'ETH' })
+    expect(wallet.canRetry).toBe(false)
+
+    await pay()
+    expect(provider.calls.filter(call => call.method === 'eth_requestAccounts')).toHaveLength(1)
+  })
+
+  it('asks again after the customer picks another currency', async () => {
+    const provider = connected({
+      eth_requestAccounts: () => {
+        throw new Error('User rejected the request.')
+      },
+    })
+    render('ethereum', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'declined', currency: 'ETH' })
+
+    render('usdc', provider)
+    expect(wallet.status).toEqual({ which: 'idle' })
+    await pay()
+    expect(provider.calls.filter(call => call.method === 'eth_requestAccounts')).toHaveLength(2)
+
+    render('ethereum', provider)
+    expect(wallet.status).toEqual({ which: 'declined', currency: 'ETH' })
+  })
+
+  it('can retry once the wallet is on the right chain', async () => {
+    let chainId = '0x3'
+    const provider = connected({ eth_chainId: () => chainId })
+    render('ethereum', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'wrong-chain' })
+    expect(wallet.canRetry).toBe(true)
+    expect(sent(provider)).toBeUndefined()
+
+    chainId = '0x1'
+    await pay()
+    expect(wallet.status).toEqual({ which: 'submitted', txId: TX_ID })
+  })
+
+  it('can retry once an account is unlocked', async () => {
+    let accounts = []
+    const provider = connected({ eth_requestAccounts: () => accounts })
+    render('ethereum', provider)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'no-account' })
+    expect(wallet.canRetry).toBe(true)
+
+    accounts = [CUSTOMER]
+    await pay()
+    expect(wallet.status).toEqual({ which: 'submitted', txId: TX_ID })
+  })
+
+  it('sends no transaction after a cancel while eth_requestAccounts is pending', async () => {
+    let approve
+    const provider = connected({
+      eth_requestAccounts: () => new Promise(resolve => {
+        approve = () => resolve([CUSTOMER])
+      }),
+    })
+    render('ethereum', provider)
+    let flow
+    act(() => {
+      flow = wallet.requestPayment()
+    })
+    expect(wallet.status).toEqual({ which: 'asking' })
+
+    act(() => {
+      wallet.cancel()
+    })
+    await act(async () => {
+      approve()
+      await flow
+    })
+    await flush()
+    expect(sent(provider)).toBeUndefined()
+    expect(wallet.status).toEqual({ which: 'canceled' })
+  })
+
+  it('drops a flow under way when the network changes', async () => {
+    let approve
+    const provider = connected({
+      eth_requestAccounts: () => new Promise(resolve => {
+        approve = () => resolve([CUSTOMER])
+      }),
+    })
+    render('ethereum', provider)
+    let flow
+    act(() => {
+      flow = wallet.requestPayment()
+    })
+
+    render('usdc', provider)
+    await act(async () => {
+      approve()
+      await flow
+    })
+    await flush()
+    expect(sent(provider)).toBeUndefined()
+    expect(wallet.status).toEqual({ which: 'idle' })
+  })
+
+  it('is unsupported without a provider', async () => {
+    render('ethereum', undefined)
+    await pay()
+    expect(wallet.status).toEqual({ which: 'unsupported' })
+  })
+})
@@ -2,7 +2,10 @@ import React, { Suspense } from 'react'
 import { CacheProvider, NetworkErrorBoundary } from 'rest-hooks'
 import ReactDOM from 'react-dom'
 import { createGlobalStyle } from 'styled-components'
-import { App } from 'components'
+import { App, NetworkError } from 'components'
+import { PERSIST_CACHE, loadCacheState, managers } from 'managers'
+import { clearExpiredStores } from 'utils/localStores'
+import { setupTracking } from 'utils/tracking'
 import * as serviceWorker from './serviceWorker'
 
 const GlobalStyles = createGlobalStyle`
@@ -20,15 +23,17 @@ const GlobalStyles = createGlobalStyle`
       monospace;
   }
 `
+clearExpiredStores()
+setupTracking()
+
 ReactDOM.render((
-    <CacheProvider>
-        <NetworkErrorBoundary fallbackComponent={(e) => <div>{JSON.stringify(e.error)}</div>}>
+    <CacheProvider managers={managers} initialState={PERSIST_CACHE ? loadCacheState() : undefined}>
+        <NetworkErrorBoundary fallbackComponent={NetworkError}>
             <App/>
         </NetworkErrorBoundary>
     </CacheProvider>
 ), document.getElementById('root'))
 
-// If you want your app to work offline and load faster, you can change
-// unregister() to register() below. Note this comes with some pitfalls.
+// keeps the checkout usable on flaky connections; see public/checkout-sw.js
 // Learn more about service workers: https://bit.ly/CRA-PWA
-serviceWorker.unregister()
+serviceWorker.register()
@@ -0,0 +1,172 @@
+import { isMaintenanceError } from 'utils/errors'
+import { setPollStatus } from './pollStatus'
+
+export const SLOW_POLL_FREQUENCY = 15000
+export const POLL_ERROR_THRESHOLD = 3 // repeated poll failures show an error
+
+/*
+ * Drop-in replacement for rest-hooks' PollingSubscription.
+ *
+ * Instead of a fixed interval, the next poll is scheduled once the previous
+ * one settles, so the delay can adapt: it backs off after consecutive
+ * errors and slows down during API maintenance, while the page is hidden
+ * or while the browser is offline. Coming back polls right away.
+ */
+export default class AdaptivePollingSubscription {
+  frequencyHistogram = new Map()
+  errorStreak = 0
+  inMaintenance = false
+  timeoutId = null
+  active = true
+
+  constructor({ url, schema, fetch, frequency }, dispatch) {
+    if (frequency === undefined) {
+      throw new Error('frequency needed for polling subscription')
+    }
+    this.url = url
+    this.schema = schema
+    this.fetch = fetch
+    this.frequency = frequency
+    this.dispatch = dispatch
+    this.frequencyHistogram.set(frequency, 1)
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+    window.addEventListener('online', this.handleOnline)
+    this.schedule()
+  }
+
+  get delay() {
+    if (document.hidden || this.inMaintenance || !navigator.onLine) {
+      return Math.max(this.frequency, SLOW_POLL_FREQUENCY)
+    }
+    // go easy after repeated failures
+    if (this.errorStreak > 10) {
+      return Math.max(this.frequency, 10000)
+    }
+    if (this.errorStreak > 5) {
+      return Math.max(this.frequency, 5000)
+    }
+    return this.frequency
+  }
+
+  get status() {
+    return this.errorStreak > POLL_ERROR_THRESHOLD ? 'error' : 'polling'
+  }
+
+  /** Subscribe to a frequency */
+  add(frequency) {
+    if (frequency === undefined) return
+    const count = this.frequencyHistogram.get(frequency) || 0
+    this.frequencyHistogram.set(frequency, count + 1)
+    // new min so restart the timer
+    if (frequency < this.frequency) {
+      this.frequency = frequency
+      this.schedule()
+    }
+  }
+
+  /** Unsubscribe from a frequency; true once nothing is subscribed */
+  remove(frequency) {
+    if (frequency === undefined) return false
+    if (!this.frequencyHistogram.has(frequency)) {
+      if (process.env.NODE_ENV !== 'production') {
+        console.error(`Mismatched remove: ${frequency} is not subscribed for ${this.url}`)
+      }
+      return false
+    }
+    const count = this.frequencyHistogram.get(frequency) - 1
+    if (count > 0) {
+      this.frequencyHistogram.set(frequency, count)
+      return false
+    }
+    this.frequencyHistogram.delete(frequency)
+    if (this.frequencyHistogram.size === 0) {
+      this.cleanup()
+      return true
+    }
+    // this was the min, so find the next one
+    if (frequency <= this.frequency) {
+      this.frequency = Math.min(...this.frequencyHistogram.keys())
+      this.schedule()
+    }
+    return false
+  }
+
+  cleanup() {
+    this.active = false
+    clearTimeout(this.timeoutId)
+    this.timeoutId = null
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    window.removeEventListener('online', this.handleOnline)
+    setPollStatus(this.url, 'stopped')
+  }
+
+  schedule() {
+    clearTimeout(this.timeoutId)
+    setPollStatus(this.url, this.status)
+    this.timeoutId = setTimeout(this.update, this.delay)
+  }
+
+  /** Trigger request for latest resource, then schedule the next one */
+  update = () => {
+    this.timeoutId = null
+    new Promise((resolve, reject) => {
+      this.dispatch({
+        type: 'rest-hooks/fetch',
+        payload: this.fetch,
+        meta: {
+          schema: this.schema,
+          url: this.url,
+          responseType: 'rest-hooks/receive',
+          throttle: true,
+          options: {
+            dataExpiryLength: this.frequency / 2,
+            errorExpiryLength: this.frequency / 10,
+          },
+          resolve,
+          reject,
+        },
+      })
+    }).then(this.handleSuccess, this.handleError).then(() => {
+      // polling might have been cancelled, or restarted, by now
+      if (this.active && !this.timeoutId) {
+        this.schedule()
+      }
+    })
+  }
+
+  handleSuccess = () => {
+    this.errorStreak = 0
+    this.inMaintenance = false
+  }
+
+  handleError = (error) => {
+    // we'll keep polling slowly; maybe the API will come back?
+    this.inMaintenance = isMaintenanceError(error)
+    // the offline banner already says why; don't pile up an error streak
+    if (!this.inMaintenance && navigator.onLine) {
+      console.error('poll', error)
+      this.errorStreak++
+    }
+  }
+
+  /// poll right away when the customer comes back to the tab
+  handleVisibilityChange = () => {
+    if (!document.hidden) {
+      this.pollNow()
+    }
+  }
+
+  /// the charge may have moved on while the connection was down
+  handleOnline = () => {
+    this.errorStreak = 0
+    this.pollNow()
+  }
+
+  /// skipped while a poll is already in flight; it reschedules itself
+  pollNow() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId)
+      this.update()
+    }
+  }
+}
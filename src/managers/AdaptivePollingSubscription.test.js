@@ -0,0 +1,163 @@
+import AdaptivePollingSubscription, { POLL_ERROR_THRESHOLD, SLOW_POLL_FREQUENCY } from './AdaptivePollingSubscription'
+import { getPollStatus } from './pollStatus'
+
+const URL = 'GET http://localhost:3001/charges/E4N8R2XC'
+
+const apiError = (status, type) => Object.assign(new Error(type || String(status)), { status, type })
+
+/*
+ * Stands in for the NetworkManager: every fetch the subscription dispatches
+ * settles with the next of `outcomes`, an Error rejecting and anything else
+ * resolving, or stays in flight when they run out.
+ */
+const stubFetch = (outcomes = []) => {
+  const dispatch = jest.fn(action => {
+    const outcome = outcomes.shift()
+    if (outcome instanceof Error) {
+      action.meta.reject(outcome)
+    } else if (outcome !== undefined) {
+      action.meta.resolve(outcome)
+    }
+  })
+  return dispatch
+}
+
+/// lets a settled fetch schedule the next poll
+const settle = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve()
+  }
+}
+
+/// the time until the next poll, by advancing through it
+const nextPollIn = async (dispatch) => {
+  const before = dispatch.mock.calls.length
+  let waited = 0
+  while (dispatch.mock.calls.length === before && waited <= 60000) {
+    jest.advanceTimersByTime(500)
+    waited += 500
+  }
+  await settle()
+  return waited
+}
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden })
+}
+
+let subscription
+
+const subscribe = (dispatch, frequency = 2000) => {
+  subscription = new AdaptivePollingSubscription({ url: URL, schema: {}, fetch: jest.fn(), frequency }, dispatch)
+  return subscription
+}
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  if (subscription) {
+    subscription.cleanup()
+    subscription = null
+  }
+  delete document.hidden
+  jest.useRealTimers()
+  console.error.mockRestore()
+})
+
+describe('AdaptivePollingSubscription', () => {
+  it('polls at its frequency', async () => {
+    const dispatch = stubFetch([{}, {}, {}])
+    subscribe(dispatch)
+    expect(await nextPollIn(dispatch)).toBe(2000)
+    expect(await nextPollIn(dispatch)).toBe(2000)
+    expect(dispatch.mock.calls[0][0]).toMatchObject({
+      type: 'rest-hooks/fetch',
+      meta: { url: URL, responseType: 'rest-hooks/receive', throttle: true },
+    })
+    expect(getPollStatus(URL)).toBe('polling')
+  })
+
+  it('waits for a poll in flight before scheduling the next one', async () => {
+    const dispatch = stubFetch([])
+    subscribe(dispatch)
+    await nextPollIn(dispatch)
+    jest.advanceTimersByTime(10000)
+    expect(dispatch).toHaveBeenCalledTimes(1)
+  })
+
+  it('backs off to 5s and then 10s after repeated errors', async () => {
+    const failures = Array.from({ length: 12 }, () => apiError(500))
+    const dispatch = stubFetch([...failures, {}])
+    subscribe(dispatch)
+    const delays = []
+    for (let i = 0; i < 13; i++) {
+      delays.push(await nextPollIn(dispatch))
+    }
+    // the delay before each poll: over 5 failures in a row back off to 5s, over 10 to 10s
+    expect(delays).toEqual([2000, 2000, 2000, 2000, 2000, 2000, 5000, 5000, 5000, 5000, 5000, 10000, 10000])
+    // one success is enough to go back to normal
+    expect(await nextPollIn(dispatch)).toBe(2000)
+  })
+
+  it('reports an error status once failures pass the threshold, until a poll succeeds', async () => {
+    const failures = Array.from({ length: POLL_ERROR_THRESHOLD + 1 }, () => apiError(500))
+    const dispatch = stubFetch([...failures, {}])
+    subscribe(dispatch)
+    for (let i = 0; i < POLL_ERROR_THRESHOLD; i++) {
+      await nextPollIn(dispatch)
+      expect(getPollStatus(URL)).toBe('polling')
+    }
+    await nextPollIn(dispatch)
+    expect(getPollStatus(URL)).toBe('error')
+    await nextPollIn(dispatch)
+    expect(getPollStatus(URL)).toBe('polling')
+  })
+
+  it('slows down during maintenance without counting it as errors', async () => {
+    const maintenance = Array.from({ length: 6 }, () => apiError(503, 'maintenance'))
+    const dispatch = stubFetch([...maintenance, {}])
+    subscribe(dispatch)
+    expect(await nextPollIn(dispatch)).toBe(2000)
+    for (let i = 0; i < 6; i++) {
+      expect(await nextPollIn(dispatch)).toBe(SLOW_POLL_FREQUENCY)
+    }
+    expect(getPollStatus(URL)).toBe('polling')
+    expect(await nextPollIn(dispatch)).toBe(2000)
+  })
+
+  it('slows down while the page is hidden and polls right away when it shows again', async () => {
+    const dispatch = stubFetch([{}, {}, {}])
+    setHidden(true)
+    subscribe(dispatch)
+    expect(await nextPollIn(dispatch)).toBe(SLOW_POLL_FREQUENCY)
+
+    jest.advanceTimersByTime(3000)
+    setHidden(false)
+    document.dispatchEvent(new Event('visibilitychange'))
+    expect(dispatch).toHaveBeenCalledTimes(2)
+    await settle()
+    expect(await nextPollIn(dispatch)).toBe(2000)
+  })
+
+  it('polls at the fastest subscribed frequency', async () => {
+    const dispatch = stubFetch([{}, {}, {}, {}])
+    subscribe(dispatch, SLOW_POLL_FREQUENCY)
+    subscription.add(2000)
+    expect(await nextPollIn(dispatch)).toBe(2000)
+    expect(subscription.remove(2000)).toBe(false)
+    expect(await nextPollIn(dispatch)).toBe(SLOW_POLL_FREQUENCY)
+  })
+
+  it('stops once the last frequency is removed', async () => {
+    const dispatch = stubFetch([{}])
+    subscribe(dispatch)
+    expect(subscription.remove(2000)).toBe(true)
+    subscription = null
+    expect(getPollStatus(URL)).toBe('stopped')
+    jest.advanceTimersByTime(60000)
+    expect(dispatch).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,81 @@
+import { ChargeResource, ExchangeRateResource, PaymentResource } from 'resources'
+import { loadCacheSnapshot, saveCacheSnapshot } from 'utils/localStores'
+
+const PERSISTED_RESOURCES = [ChargeResource, PaymentResource, ExchangeRateResource]
+const SAVE_DELAY = 1000 // batch up bursts of responses
+const SNAPSHOT_LIFETIME = 3600 * 1000 // one hour, like a charge
+/// the actions that change cached data
+const SAVED_ACTIONS = ['rest-hooks/receive', 'rest-hooks/rpc', 'rest-hooks/purge']
+
+const mapValues = (object, fn) => {
+  const mapped = {}
+  Object.keys(object).forEach(key => {
+    mapped[key] = fn(object[key], key)
+  })
+  return mapped
+}
+
+const resourceFor = (key) => PERSISTED_RESOURCES.find(Resource => Resource.getKey() === key)
+
+/*
+ * Entities are stored with just their defined members and turned back into
+ * resources on load. Failed requests are left out, or their errors would be
+ * thrown again on startup.
+ */
+const toSnapshot = ({ entities, results, meta }) => ({
+  entities: mapValues(entities, (byPk, key) => {
+    const Resource = resourceFor(key)
+    return Resource ? mapValues(byPk, entity => Resource.toObjectDefined(entity)) : {}
+  }),
+  results,
+  meta: mapValues(meta, entry => (entry.error ? undefined : entry)),
+})
+
+const fromSnapshot = ({ entities = {}, results = {}, meta = {} }) => ({
+  entities: mapValues(entities, (byPk, key) => {
+    const Resource = resourceFor(key)
+    return Resource ? mapValues(byPk, props => Resource.fromJS(props)) : {}
+  }),
+  results,
+  meta,
+})
+
+/// the last saved cache, to start the CacheProvider with; undefined if there's none
+export const loadCacheState = () => {
+  const snapshot = loadCacheSnapshot()
+  try {
+    return snapshot ? fromSnapshot(snapshot) : undefined
+  } catch (e) {
+    console.error('loadCacheState', e)
+    return undefined
+  }
+}
+
+/*
+ * Saves a snapshot of the rest-hooks cache whenever responses come in, so a
+ * reload can render from the cache while it fetches fresh data.
+ */
+export default class CachePersistenceManager {
+  timeoutId = null
+
+  getMiddleware() {
+    return ({ getState }) => next => action => {
+      const result = next(action)
+      if (SAVED_ACTIONS.includes(action.type)) {
+        clearTimeout(this.timeoutId)
+        // the state is read once React has rendered the update
+        this.timeoutId = setTimeout(() => this.save(getState()), SAVE_DELAY)
+      }
+      return result
+    }
+  }
+
+  save(state) {
+    this.timeoutId = null
+    saveCacheSnapshot(toSnapshot(state), new Date(Date.now() + SNAPSHOT_LIFETIME).toISOString())
+  }
+
+  cleanup() {
+    clearTimeout(this.timeoutId)
+  }
+}
@@ -0,0 +1,83 @@
+import { ChargeResource, PaymentResource } from 'resources'
+import { loadCacheSnapshot, saveCacheSnapshot } from 'utils/localStores'
+import CachePersistenceManager, { loadCacheState } from './CachePersistenceManager'
+
+const CHARGE_KEY = 'GET http://localhost:3001/charges/E4N8R2XC'
+const FAILED_KEY = 'GET http://localhost:3001/charges/MISSING1'
+
+const state = () => ({
+  entities: {
+    [ChargeResource.getKey()]: {
+      c1: ChargeResource.fromJS({ id: 'c1', code: 'E4N8R2XC', payments: ['tx1'] }),
+    },
+    [PaymentResource.getKey()]: {
+      tx1: PaymentResource.fromJS({ transactionId: 'tx1', network: 'bitcoin' }),
+    },
+  },
+  results: { [CHARGE_KEY]: 'c1' },
+  meta: {
+    [CHARGE_KEY]: { date: 1, expiresAt: 2 },
+    [FAILED_KEY]: { date: 1, expiresAt: 2, error: new Error('404') },
+  },
+})
+
+let manager
+
+/// runs `actions` through the manager's middleware
+const dispatch = (...actions) => {
+  const next = jest.fn()
+  const middleware = manager.getMiddleware()({ getState: state, dispatch: jest.fn() })(next)
+  actions.forEach(action => middleware(action))
+  return next
+}
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  window.localStorage.clear()
+  manager = new CachePersistenceManager()
+})
+
+afterEach(() => {
+  manager.cleanup()
+  jest.useRealTimers()
+})
+
+describe('CachePersistenceManager', () => {
+  it('saves the cache a second after a burst of responses', () => {
+    const next = dispatch({ type: 'rest-hooks/receive' }, { type: 'rest-hooks/receive' })
+    expect(next).toHaveBeenCalledTimes(2)
+    jest.advanceTimersByTime(999)
+    expect(loadCacheSnapshot()).toBe(null)
+    jest.advanceTimersByTime(1)
+    expect(loadCacheSnapshot().results).toEqual({ [CHARGE_KEY]: 'c1' })
+  })
+
+  it("doesn't save for actions that leave the data alone", () => {
+    dispatch({ type: 'rest-hooks/fetch' }, { type: 'rest-hooks/subscribe' })
+    jest.advanceTimersByTime(5000)
+    expect(loadCacheSnapshot()).toBe(null)
+  })
+
+  it('leaves failed requests out', () => {
+    dispatch({ type: 'rest-hooks/receive' })
+    jest.advanceTimersByTime(1000)
+    const { meta } = loadCacheSnapshot()
+    expect(meta[CHARGE_KEY]).toEqual({ date: 1, expiresAt: 2 })
+    expect(meta[FAILED_KEY]).toBeUndefined()
+  })
+
+  it('loads the saved entities back as resources', () => {
+    dispatch({ type: 'rest-hooks/purge' })
+    jest.advanceTimersByTime(1000)
+    const loaded = loadCacheState()
+    const charge = loaded.entities[ChargeResource.getKey()].c1
+    expect(charge).toBeInstanceOf(ChargeResource)
+    expect(charge.code).toBe('E4N8R2XC')
+    expect(loaded.entities[PaymentResource.getKey()].tx1).toBeInstanceOf(PaymentResource)
+  })
+
+  it('starts empty once the snapshot expires', () => {
+    saveCacheSnapshot(state(), new Date(Date.now() - 1000).toISOString())
+    expect(loadCacheState()).toBeUndefined()
+  })
+})
@@ -0,0 +1,166 @@
+import { ChargeResource } from 'resources'
+import { setPollStatus } from './pollStatus'
+
+const RECONNECT_DELAY = 2000
+const MAX_RECONNECT_DELAY = 60000
+const PUSHED_DATA_LIFETIME = 60000 // like fetched data in the NetworkManager
+
+/// the order code in a detailByCodeShape() fetch key
+const matchChargeKey = (url) => {
+  const prefix = `GET ${ChargeResource.urlRoot}/`
+  const code = url.startsWith(prefix) ? url.slice(prefix.length) : ''
+  return code && !code.includes('/') ? decodeURIComponent(code) : null
+}
+
+const eventsUrl = (code) => `${ChargeResource.codeUrl({ code })}/events`
+
+/*
+ * Keeps subscribed charges fresh over Server-Sent Events instead of polling.
+ *
+ * Goes in front of the SubscriptionManager and takes over subscriptions to
+ * charges fetched by code: each gets a stream from /charges/:code/events,
+ * and every charge it pushes is received straight into the cache. While a
+ * stream is down the subscriptions are handed on to the SubscriptionManager,
+ * so the charge is polled as before until the stream reconnects.
+ */
+export default class ChargePushManager {
+  streams = {}
+  next = null
+
+  getMiddleware() {
+    return ({ dispatch }) => next => {
+      this.next = next
+      return action => {
+        const url = action.meta && action.meta.url
+        const code = url && matchChargeKey(url)
+        if (!code) {
+          return next(action)
+        }
+        switch (action.type) {
+          case 'rest-hooks/subscribe':
+            return this.handleSubscribe(action, code, dispatch)
+          case 'rest-hooks/unsubscribe':
+            return this.handleUnsubscribe(action)
+          default:
+            return next(action)
+        }
+      }
+    }
+  }
+
+  handleSubscribe(action, code, dispatch) {
+    const { url } = action.meta
+    if (!this.streams[url]) {
+      this.streams[url] = { code, subscriptions: [], source: null, polling: false, failures: 0, timeoutId: null }
+      this.connect(url, dispatch)
+    }
+    const stream = this.streams[url]
+    stream.subscriptions.push(action)
+    if (stream.polling) {
+      this.next(action)
+    }
+  }
+
+  handleUnsubscribe(action) {
+    const { url, frequency } = action.meta
+    const stream = this.streams[url]
+    if (!stream) {
+      return
+    }
+    const index = stream.subscriptions.findIndex(subscribe => subscribe.meta.frequency === frequency)
+    if (index !== -1) {
+      stream.subscriptions.splice(index, 1)
+    }
+    if (stream.polling) {
+      this.next(action)
+    }
+    if (!stream.subscriptions.length) {
+      this.close(url)
+      delete this.streams[url]
+    }
+  }
+
+  connect(url, dispatch) {
+    const stream = this.streams[url]
+    const source = new EventSource(eventsUrl(stream.code))
+    stream.source = source
+    source.onopen = () => {
+      stream.failures = 0
+      this.stopPolling(url)
+      setPollStatus(url, 'streaming')
+    }
+    source.addEventListener('charge', (event) => {
+      const schema = ChargeResource.detailByCodeShape().schema
+      const now = Date.now()
+      let charge
+      try {
+        charge = JSON.parse(event.data)
+      } catch (e) {
+        console.error('push', e)
+        return
+      }
+      dispatch({
+        type: 'rest-hooks/receive',
+        payload: charge,
+        meta: {
+          schema,
+          url,
+          date: now,
+          expiresAt: now + PUSHED_DATA_LIFETIME,
+        },
+      })
+    })
+    // EventSource retries on its own, but without backing off
+    source.onerror = () => {
+      source.close()
+      stream.source = null
+      stream.failures++
+      this.startPolling(url)
+      const delay = Math.min(RECONNECT_DELAY * 2 ** (stream.failures - 1), MAX_RECONNECT_DELAY)
+      stream.timeoutId = setTimeout(() => {
+        stream.timeoutId = null
+        if (this.streams[url] === stream) {
+          this.connect(url, dispatch)
+        }
+      }, delay)
+    }
+  }
+
+  close(url) {
+    const stream = this.streams[url]
+    clearTimeout(stream.timeoutId)
+    if (stream.source) {
+      stream.source.close()
+    }
+    if (!stream.polling) {
+      setPollStatus(url, 'stopped')
+    }
+  }
+
+  /// hands the subscriptions on to the SubscriptionManager
+  startPolling(url) {
+    const stream = this.streams[url]
+    if (stream.polling) {
+      return
+    }
+    stream.polling = true
+    stream.subscriptions.forEach(subscribe => this.next(subscribe))
+  }
+
+  stopPolling(url) {
+    const stream = this.streams[url]
+    if (!stream.polling) {
+      return
+    }
+    stream.polling = false
+    stream.subscriptions.forEach(({ meta }) => this.next({
+      type: 'rest-hooks/unsubscribe',
+      meta: { url: meta.url, frequency: meta.frequency },
+    }))
+  }
+
+  cleanup() {
+    Object.keys(this.streams).forEach(url => this.close(url))
+    this.streams = {}
+  }
+}
@@ -0,0 +1,188 @@
+import { reducer, __INTERNAL__ } from 'rest-hooks'
+import { ChargeResource, PaymentResource } from 'resources'
+import ChargePushManager from './ChargePushManager'
+import { getPollStatus } from './pollStatus'
+
+const CODE = 'E4N8R2XC'
+const URL = `GET ${ChargeResource.codeUrl({ code: CODE })}`
+const EVENTS_URL = `${ChargeResource.codeUrl({ code: CODE })}/events`
+
+/// a stand-in for the browser's EventSource, driven by the tests
+class FakeEventSource {
+  static instances = []
+
+  listeners = {}
+  closed = false
+
+  constructor(url) {
+    this.url = url
+    FakeEventSource.instances.push(this)
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener
+  }
+
+  close() {
+    this.closed = true
+  }
+
+  open() {
+    this.onopen()
+  }
+
+  push(charge) {
+    this.listeners.charge({ data: typeof charge === 'string' ? charge : JSON.stringify(charge) })
+  }
+
+  fail() {
+    this.onerror()
+  }
+}
+
+const latestSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1]
+
+const charge = {
+  id: 'c1',
+  code: CODE,
+  pricingType: 'fixed_price',
+  payments: [{ transactionId: 'tx1', network: 'bitcoin', status: 'PENDING' }],
+  timeline: [{ time: '2019-10-01T12:00:00Z', status: 'NEW' }, { time: '2019-10-01T12:05:00Z', status: 'PENDING' }],
+}
+
+const subscribeAction = (url = URL, frequency = 2000) => ({
+  type: 'rest-hooks/subscribe',
+  meta: { schema: ChargeResource.detailByCodeShape().schema, url, frequency, fetch: jest.fn() },
+})
+
+const unsubscribeAction = (url = URL, frequency = 2000) => ({
+  type: 'rest-hooks/unsubscribe',
+  meta: { url, frequency },
+})
+
+let manager
+let state
+let next
+let middleware
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  global.EventSource = FakeEventSource
+  FakeEventSource.instances = []
+  state = __INTERNAL__.initialState
+  const dispatch = (action) => {
+    state = reducer(state, action)
+  }
+  next = jest.fn()
+  manager = new ChargePushManager()
+  middleware = manager.getMiddleware()({ dispatch, getState: () => state })(next)
+})
+
+afterEach(() => {
+  manager.cleanup()
+  delete global.EventSource
+  jest.useRealTimers()
+  console.error.mockRestore()
+})
+
+describe('ChargePushManager', () => {
+  it('streams a subscribed charge instead of polling it', () => {
+    middleware(subscribeAction())
+    expect(FakeEventSource.instances).toHaveLength(1)
+    expect(latestSource().url).toBe(EVENTS_URL)
+    expect(next).not.toHaveBeenCalled()
+
+    latestSource().open()
+    expect(getPollStatus(URL)).toBe('streaming')
+  })
+
+  it('receives pushed charges into the cache', () => {
+    middleware(subscribeAction())
+    latestSource().open()
+    latestSource().push(charge)
+
+    expect(state.results[URL]).toBe('c1')
+    const cached = state.entities[ChargeResource.getKey()].c1
+    expect(cached).toBeInstanceOf(ChargeResource)
+    expect(cached.timeline.map(entry => entry.status)).toEqual(['NEW', 'PENDING'])
+    expect(cached.payments).toEqual(['tx1'])
+    expect(state.entities[PaymentResource.getKey()].tx1.status).toBe('PENDING')
+    expect(state.meta[URL].expiresAt).toBeGreaterThan(state.meta[URL].date)
+  })
+
+  it('ignores events it cannot parse', () => {
+    middleware(subscribeAction())
+    latestSource().push('{not json')
+    expect(state.results[URL]).toBeUndefined()
+  })
+
+  it('leaves other requests to the managers after it', () => {
+    const other = subscribeAction('GET http://localhost:3001/payments/tx1')
+    middleware(other)
+    middleware({ type: 'rest-hooks/fetch', meta: { url: URL } })
+    expect(next.mock.calls.map(([action]) => action)).toEqual([other, { type: 'rest-hooks/fetch', meta: { url: URL } }])
+    expect(FakeEventSource.instances).toHaveLength(0)
+  })
+
+  it('falls back to polling while the stream is down and stops once it reconnects', () => {
+    const subscribe = subscribeAction()
+    middleware(subscribe)
+    latestSource().open()
+    const first = latestSource()
+
+    first.fail()
+    expect(first.closed).toBe(true)
+    expect(next).toHaveBeenCalledWith(subscribe)
+
+    jest.advanceTimersByTime(2000)
+    expect(FakeEventSource.instances).toHaveLength(2)
+    latestSource().open()
+    expect(next).toHaveBeenLastCalledWith(unsubscribeAction())
+    expect(getPollStatus(URL)).toBe('streaming')
+  })
+
+  it('backs off between reconnects, up to a minute', () => {
+    middleware(subscribeAction())
+    const delays = []
+    for (let i = 0; i < 8; i++) {
+      latestSource().fail()
+      const before = FakeEventSource.instances.length
+      let waited = 0
+      while (FakeEventSource.instances.length === before) {
+        jest.advanceTimersByTime(1000)
+        waited += 1000
+      }
+      delays.push(waited)
+    }
+    expect(delays).toEqual([2000, 4000, 8000, 16000, 32000, 60000, 60000, 60000])
+    // only one fallback subscription however often it fails
+    expect(next.mock.calls.filter(([action]) => action.type === 'rest-hooks/subscribe')).toHaveLength(1)
+
+    latestSource().open()
+    latestSource().fail()
+    jest.advanceTimersByTime(2000)
+    expect(FakeEventSource.instances).toHaveLength(10)
+  })
+
+  it('closes the stream once the last subscription goes', () => {
+    middleware(subscribeAction(URL, 2000))
+    middleware(subscribeAction(URL, 15000))
+    middleware(unsubscribeAction(URL, 2000))
+    expect(latestSource().closed).toBe(false)
+
+    middleware(unsubscribeAction(URL, 15000))
+    expect(latestSource().closed).toBe(true)
+    expect(getPollStatus(URL)).toBe('stopped')
+  })
+
+  it("doesn't reconnect a stream unsubscribed while down", () => {
+    middleware(subscribeAction())
+    latestSource().fail()
+    middleware(unsubscribeAction())
+    expect(next).toHaveBeenLastCalledWith(unsubscribeAction())
+
+    jest.advanceTimersByTime(60000)
+    expect(FakeEventSource.instances).toHaveLength(1)
+  })
+})
@@ -0,0 +1,23 @@
+import { NetworkManager, SubscriptionManager } from 'rest-hooks'
+import AdaptivePollingSubscription from './AdaptivePollingSubscription'
+import CachePersistenceManager from './CachePersistenceManager'
+import ChargePushManager from './ChargePushManager'
+
+export { AdaptivePollingSubscription, CachePersistenceManager, ChargePushManager }
+export { SLOW_POLL_FREQUENCY, POLL_ERROR_THRESHOLD } from './AdaptivePollingSubscription'
+export { loadCacheState } from './CachePersistenceManager'
+export { getPollStatus, subscribePollStatus } from './pollStatus'
+
+/// set REACT_APP_PERSIST_CACHE=true to keep the cache across reloads
+export const PERSIST_CACHE = process.env.REACT_APP_PERSIST_CACHE === 'true'
+
+/// set REACT_APP_PUSH_UPDATES=true when the API streams charge events
+export const PUSH_UPDATES = process.env.REACT_APP_PUSH_UPDATES === 'true' && typeof EventSource !== 'undefined'
+
+export const managers = [
+  new NetworkManager(),
+  // must come before the SubscriptionManager it falls back to
+  ...(PUSH_UPDATES ? [new ChargePushManager()] : []),
+  new SubscriptionManager(AdaptivePollingSubscription),
+  ...(PERSIST_CACHE ? [new CachePersistenceManager()] : []),
+]
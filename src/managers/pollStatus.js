@@ -0,0 +1,23 @@
+/*
+ * Poll status of every active polling subscription, keyed by fetch key.
+ *
+ * Subscriptions live inside the SubscriptionManager, out of reach of
+ * components, so they publish their status here for usePollStatus().
+ */
+const statuses = {}
+const listeners = new Set()
+
+export const getPollStatus = (key) => statuses[key] || 'stopped'
+
+export const setPollStatus = (key, status) => {
+  if (getPollStatus(key) === status) {
+    return
+  }
+  statuses[key] = status
+  listeners.forEach(listener => listener(key, status))
+}
+
+export const subscribePollStatus = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
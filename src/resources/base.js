@@ -0,0 +1,25 @@
+import { Resource } from 'rest-hooks'
+import { serverClockPlugin } from 'utils/clock'
+import { withApiErrorType } from 'utils/errors'
+
+/// where the API lives; defaults to the local one from `yarn api`
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001'
+
+const serialize = (Static, instance) => JSON.stringify(Static.toObjectDefined(instance))
+
+export default class extends Resource {
+  static fetchPlugin = serverClockPlugin
+
+  static fetch(method, url, body) {
+    return super.fetch(method, url, body).catch((error) => {
+      throw withApiErrorType(error)
+    })
+  }
+
+  /// keep the cached instance when a fetch brings back identical data,
+  /// so components showing it don't re-render on every poll
+  static merge(first, second) {
+    const merged = super.merge(first, second)
+    return serialize(this, merged) === serialize(this, first) ? first : merged
+  }
+}
@@ -1,24 +1,91 @@
-import { Resource } from 'rest-hooks'
+import BaseResource, { API_URL } from './base'
+import PaymentResource from './payment'
 
-export default class extends Resource {
+/*
+ * CryptoMoney:    { amount: string, currency: string }
+ * TimelineEntry:  { time, status, context?, payment?: { network, transactionId } }
+ *
+ * pricing maps 'local' and each network to CryptoMoney, addresses maps each
+ * network to its deposit address. payments holds PaymentResource keys.
+ */
+export default class extends BaseResource {
   id = null
   code = ''
   name = ''
-//   description = ''
-//   addresses = []
-//   checkout = []
-//   payments = []
-//   pricing = []
-  pricing = []
+  description = ''
+  pricingType = ''
+  addresses = {}
+  pricing = {}
+  payments = []
   timeline = []
-//   hostedUrl = ''
-//   createdAt = ''
-//   expiresAt = ''
+  hostedUrl = ''
+  cancelUrl = ''
+  createdAt = ''
+  expiresAt = ''
 
   pk() {
     return this.id
   }
 
-  static urlRoot = 'https://jsonplaceholder.typicode.com/omidahourai/resthooks'
-}
+  static urlRoot = `${API_URL}/charges`
+
+  /** Get the url for a charge by its order code */
+  static codeUrl({ code }) {
+    return `${this.urlRoot}/${encodeURIComponent(code)}`
+  }
+
+  /** Shape to get a single charge by its order code
+   *
+   * Normalizes to the same entity as detailShape(), so a charge fetched
+   * either way shares one cache entry.
+   */
+  static detailByCodeShape() {
+    return {
+      ...this.detailShape(),
+      getFetchKey: params => 'GET ' + this.codeUrl(params),
+      fetch: (params, body) => this.fetch('get', this.codeUrl(params), body),
+    }
+  }
+
+  /** Shape to get one page of charges
+   *
+   * Responds with { data, pagination }; read the pagination with useResultCache().
+   */
+  static listShape() {
+    return {
+      ...super.listShape(),
+      schema: { data: [this.getEntitySchema()] },
+    }
+  }
 
+  /** Shape to cancel a charge nobody has paid yet (post)
+   *
+   * The response is the updated charge, which replaces the cached one.
+   */
+  static cancelShape() {
+    const url = params => `${this.codeUrl(params)}/cancel`
+    return {
+      type: 'mutate',
+      schema: this.getEntitySchema(),
+      options: this.getRequestOptions(),
+      getFetchKey: params => 'POST ' + url(params),
+      fetch: (params, body) => this.fetch('post', url(params), body),
+    }
+  }
+
+  static getEntitySchema() {
+    const schema = super.getEntitySchema()
+    schema.define({
+      payments: [PaymentResource.getEntitySchema()],
+    })
+    return schema
+  }
+
+  static getRequestOptions() {
+    return {
+      ...super.getRequestOptions(),
+      // normal poll is 2sec
+      pollFrequency: 2000,
+    }
+  }
+}
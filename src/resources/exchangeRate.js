@@ -0,0 +1,31 @@
+import BaseResource, { API_URL } from './base'
+
+/*
+ * What an amount of a local currency is worth in USD.
+ *
+ * from:  CryptoMoney in the local currency, e.g. { amount: '1.00', currency: 'EUR' }
+ * to:    CryptoMoney it is worth in USD
+ *
+ * Fetch with detailShape() and { currency }.
+ */
+export default class extends BaseResource {
+  currency = ''
+  from = {}
+  to = {}
+  updatedAt = ''
+
+  pk() {
+    return this.currency
+  }
+
+  static urlRoot = `${API_URL}/exchange-rates`
+
+  static getRequestOptions() {
+    return {
+      ...super.getRequestOptions(),
+      // rates move slowly next to a 2sec charge poll
+      dataExpiryLength: 5 * 60 * 1000,
+      errorExpiryLength: 30 * 1000,
+    }
+  }
+}
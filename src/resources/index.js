@@ -1 +1,3 @@
 export { default as ChargeResource } from './charge'
+export { default as ExchangeRateResource } from './exchangeRate'
+export { default as PaymentResource } from './payment'
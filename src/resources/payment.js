@@ -0,0 +1,30 @@
+import BaseResource, { API_URL } from './base'
+
+/*
+ * A transaction sent towards a charge.
+ *
+ * value:  { local: CryptoMoney, crypto: CryptoMoney }
+ * block:  { height, hash, confirmations, confirmationsRequired }
+ *
+ * Payments arrive nested in charges and are normalized on their own, so
+ * read them from the cache with detailShape() and { transactionId }.
+ */
+export default class extends BaseResource {
+  network = ''
+  transactionId = ''
+  status = ''
+  detectedAt = ''
+  value = {}
+  block = {
+    height: null,
+    hash: null,
+    confirmations: 0,
+    confirmationsRequired: 0,
+  }
+
+  pk() {
+    return this.transactionId
+  }
+
+  static urlRoot = `${API_URL}/payments`
+}
@@ -32,7 +32,8 @@ export function register(config) {
     }
 
     window.addEventListener('load', () => {
-      const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+      // extends the generated service-worker.js with a cache of charges
+      const swUrl = `${process.env.PUBLIC_URL}/checkout-sw.js`;
 
       if (isLocalhost) {
         // This is running on localhost. Let's check if a service worker still exists or not.
@@ -0,0 +1,115 @@
+import { networkBlockTime } from 'utils/currencies'
+import { addMoney, isGreaterThan, isLessThan, parseMoney, subtractMoney } from 'utils/money'
+import { IS_LOCAL_STORAGE_AVAILABLE } from 'utils/localStores'
+
+export const CHARGE_STATUSES = [
+  'NEW',
+  'PENDING',
+  'COMPLETED',
+  'RESOLVED',
+  'UNRESOLVED',
+  'EXPIRED',
+  'CANCELED',
+]
+
+/// the status of a charge is the status of its latest timeline entry
+export const chargeStatus = (charge) => {
+  const { timeline = [] } = charge
+  const latest = timeline[timeline.length - 1]
+  return latest ? latest.status : undefined
+}
+
+/// why a charge is UNRESOLVED, like 'UNDERPAID', 'OVERPAID' or 'DELAYED'; null for other statuses
+export const unresolvedContext = (charge) => {
+  const { timeline = [] } = charge
+  const latest = timeline[timeline.length - 1]
+  return latest && latest.status === 'UNRESOLVED' ? latest.context || null : null
+}
+
+/*
+ * What the payments sent on `network` add up to against the charge's price
+ * there: { paid, due, shortfall, excess } as Money, where only one of
+ * shortfall and excess is set, if any. null when there's no price to compare
+ * with or nothing was sent on that network.
+ */
+export const paymentBalance = (charge, payments, network) => {
+  const price = network && charge.pricing[network]
+  const sent = payments.filter(payment => payment.network === network && payment.value.crypto)
+  if (!price || !sent.length) {
+    return null
+  }
+  const paid = sent.map(payment => parseMoney(payment.value.crypto)).reduce(addMoney)
+  const due = parseMoney(price)
+  return {
+    paid,
+    due,
+    shortfall: isLessThan(paid, due) ? subtractMoney(due, paid) : null,
+    excess: isGreaterThan(paid, due) ? subtractMoney(paid, due) : null,
+  }
+}
+
+/*
+ * What a charge's payments brought in: `crypto` has one Money per currency
+ * received, in the order first sent, and `local` their combined local value,
+ * null unless every payment has one in the same currency.
+ */
+export const amountsReceived = (payments) => {
+  const crypto = []
+  let local = null
+  payments.forEach(({ value }, index) => {
+    if (value.crypto) {
+      const received = parseMoney(value.crypto)
+      const same = crypto.findIndex(money => money.currency === received.currency)
+      if (same === -1) {
+        crypto.push(received)
+      } else {
+        crypto[same] = addMoney(crypto[same], received)
+      }
+    }
+    const worth = value.local && parseMoney(value.local)
+    if (index === 0) {
+      local = worth || null
+    } else if (local) {
+      local = worth && worth.currency === local.currency ? addMoney(local, worth) : null
+    }
+  })
+  return { crypto, local }
+}
+
+export const isUnpriced = (charge) => charge.pricingType !== 'fixed_price'
+
+export const chargeNetworks = (charge) => Object.keys(charge.addresses).sort()
+
+/// key of the PaymentResource the checkout follows: the latest one, as a top-up comes after what it tops up
+export const activePaymentKey = (charge) => charge.payments[charge.payments.length - 1]
+
+/*
+ * How far a payment is from confirmed: the blocks still to go and, for
+ * networks with a known block time, a rough estimate of the seconds left.
+ */
+export const confirmationProgress = ({ network, block }) => {
+  const { confirmations = 0, confirmationsRequired = 0 } = block || {}
+  const remaining = Math.max(0, confirmationsRequired - confirmations)
+  const blockTime = networkBlockTime(network)
+  return {
+    confirmations,
+    confirmationsRequired,
+    remaining,
+    isConfirmed: remaining === 0,
+    blockTime,
+    secondsRemaining: blockTime === null ? null : remaining * blockTime,
+  }
+}
+
+export const canCancelCharge = (charge) => {
+  if (!charge.cancelUrl) {
+    return false
+  }
+  // once there are any states like PENDING or FAILED etc, we can no longer cancel
+  return charge.timeline.every(entry => entry.status === 'NEW')
+}
+
+export const shouldShowPayWithCoinbase = (charge) => (
+  charge.pricingType !== 'no_price' && // not donations
+  IS_LOCAL_STORAGE_AVAILABLE // has localStorage (false for private mode in Safari)
+)
@@ -0,0 +1,114 @@
+import { toDecimalString } from 'utils/money'
+import { activePaymentKey, amountsReceived, paymentBalance } from './charge'
+
+const charge = {
+  code: 'E4N8R2XC',
+  pricingType: 'fixed_price',
+  pricing: {
+    local: { amount: '10.00', currency: 'USD' },
+    bitcoin: { amount: '0.00121000', currency: 'BTC' },
+    ethereum: { amount: '0.055000000', currency: 'ETH' },
+  },
+  payments: ['tx1', 'tx2', 'tx3'],
+}
+
+const payment = (transactionId, network, amount, currency, local = '0') => ({
+  transactionId,
+  network,
+  value: { crypto: { amount, currency }, local: { amount: local, currency: 'USD' } },
+})
+
+const amounts = (balance) => ({
+  paid: toDecimalString(balance.paid),
+  due: toDecimalString(balance.due),
+  shortfall: balance.shortfall && toDecimalString(balance.shortfall),
+  excess: balance.excess && toDecimalString(balance.excess),
+})
+
+describe('paymentBalance', () => {
+  it('sums every payment sent on the network', () => {
+    const payments = [
+      payment('tx1', 'bitcoin', '0.00100000', 'BTC'),
+      payment('tx2', 'bitcoin', '0.00021000', 'BTC'),
+    ]
+    expect(amounts(paymentBalance(charge, payments, 'bitcoin'))).toEqual({
+      paid: '0.00121000',
+      due: '0.00121000',
+      shortfall: null,
+      excess: null,
+    })
+  })
+
+  it('leaves out payments on other networks', () => {
+    const payments = [
+      payment('tx1', 'bitcoin', '0.00100000', 'BTC'),
+      payment('tx2', 'ethereum', '0.010000000', 'ETH'),
+      payment('tx3', 'bitcoin', '0.00001000', 'BTC'),
+    ]
+    expect(amounts(paymentBalance(charge, payments, 'bitcoin'))).toEqual({
+      paid: '0.00101000',
+      due: '0.00121000',
+      shortfall: '0.00020000',
+      excess: null,
+    })
+  })
+
+  it('reports what a top up went over by', () => {
+    const payments = [
+      payment('tx1', 'ethereum', '0.050000000', 'ETH'),
+      payment('tx2', 'ethereum', '0.010000000', 'ETH'),
+    ]
+    expect(amounts(paymentBalance(charge, payments, 'ethereum'))).toEqual({
+      paid: '0.060000000000000000',
+      due: '0.055000000000000000',
+      shortfall: null,
+      excess: '0.005000000000000000',
+    })
+  })
+
+  it('is null without a price or payments on the network', () => {
+    const payments = [payment('tx1', 'bitcoin', '0.00100000', 'BTC')]
+    expect(paymentBalance(charge, payments, 'litecoin')).toBe(null)
+    expect(paymentBalance(charge, payments, 'ethereum')).toBe(null)
+    expect(paymentBalance(charge, [], 'bitcoin')).toBe(null)
+    expect(paymentBalance(charge, payments, null)).toBe(null)
+  })
+})
+
+describe('amountsReceived', () => {
+  const decimals = ({ crypto, local }) => ({
+    crypto: crypto.map(money => `${toDecimalString(money)} ${money.currency}`),
+    local: local && `${toDecimalString(local)} ${local.currency}`,
+  })
+
+  it('sums payments per currency and in local value', () => {
+    const payments = [
+      payment('tx1', 'bitcoin', '0.00100000', 'BTC', '8.26'),
+      payment('tx2', 'ethereum', '0.010000000', 'ETH', '1.80'),
+      payment('tx3', 'bitcoin', '0.00050000', 'BTC', '4.13'),
+    ]
+    expect(decimals(amountsReceived(payments))).toEqual({
+      crypto: ['0.00150000 BTC', '0.010000000000000000 ETH'],
+      local: '14.19 USD',
+    })
+  })
+
+  it("has no local value when a payment's is missing", () => {
+    const payments = [
+      payment('tx1', 'bitcoin', '0.00100000', 'BTC', '8.26'),
+      { transactionId: 'tx2', network: 'bitcoin', value: { crypto: { amount: '0.00050000', currency: 'BTC' } } },
+    ]
+    expect(decimals(amountsReceived(payments))).toEqual({ crypto: ['0.00150000 BTC'], local: null })
+  })
+
+  it('is empty without payments', () => {
+    expect(amountsReceived([])).toEqual({ crypto: [], local: null })
+  })
+})
+
+describe('activePaymentKey', () => {
+  it('follows the latest payment', () => {
+    expect(activePaymentKey(charge)).toBe('tx3')
+    expect(activePaymentKey({ ...charge, payments: [] })).toBe(undefined)
+  })
+})
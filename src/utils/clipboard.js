@@ -0,0 +1,23 @@
+/*
+ * Copies text to the clipboard, falling back to a hidden textarea for
+ * browsers (and insecure origins) without the async clipboard API.
+ */
+export const copyToClipboard = (text) => {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text)
+  }
+  const textarea = document.createElement('textarea')
+  textarea.value = text
+  textarea.setAttribute('readonly', '')
+  textarea.style.position = 'fixed'
+  textarea.style.opacity = '0'
+  document.body.appendChild(textarea)
+  textarea.select()
+  try {
+    return document.execCommand('copy')
+      ? Promise.resolve()
+      : Promise.reject(new Error('copy command was refused'))
+  } finally {
+    document.body.removeChild(textarea)
+  }
+}
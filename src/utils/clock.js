@@ -0,0 +1,25 @@
+/*
+ * Server clock estimate.
+ *
+ * Expiry times come from the server, so counting down against the client's
+ * clock is off by however far the two disagree. Every API response carries
+ * a Date header; the difference to the local clock is the skew to correct.
+ */
+let skew = 0
+
+export const recordServerDate = (header) => {
+  const serverTime = Date.parse(header)
+  if (!Number.isNaN(serverTime)) {
+    skew = serverTime - Date.now()
+  }
+}
+
+/// milliseconds since the epoch, as the server sees it
+export const serverNow = () => Date.now() + skew
+
+/// superagent plugin feeding every response's Date header to the clock
+export const serverClockPlugin = (req) => {
+  req.on('response', (res) => {
+    recordServerDate(res.headers.date)
+  })
+}
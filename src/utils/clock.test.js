@@ -0,0 +1,46 @@
+import { recordServerDate, serverClockPlugin, serverNow } from './clock'
+
+const NOW = Date.parse('2019-10-01T12:00:00Z')
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW)
+})
+
+afterEach(() => {
+  recordServerDate(new Date(NOW).toUTCString())
+  Date.now.mockRestore()
+})
+
+describe('serverNow', () => {
+  it('follows the local clock until a server date is known', () => {
+    expect(serverNow()).toBe(NOW)
+  })
+
+  it('corrects for a server clock that runs ahead', () => {
+    recordServerDate('Tue, 01 Oct 2019 12:01:30 GMT')
+    expect(serverNow()).toBe(NOW + 90000)
+    Date.now.mockReturnValue(NOW + 1000)
+    expect(serverNow()).toBe(NOW + 91000)
+  })
+
+  it('corrects for a server clock that runs behind', () => {
+    recordServerDate('Tue, 01 Oct 2019 11:58:00 GMT')
+    expect(serverNow()).toBe(NOW - 120000)
+  })
+
+  it('keeps the last skew when a header is missing or invalid', () => {
+    recordServerDate('Tue, 01 Oct 2019 12:00:10 GMT')
+    recordServerDate(undefined)
+    recordServerDate('yesterday')
+    expect(serverNow()).toBe(NOW + 10000)
+  })
+})
+
+describe('serverClockPlugin', () => {
+  it("records every response's Date header", () => {
+    const listeners = {}
+    serverClockPlugin({ on: (event, listener) => { listeners[event] = listener } })
+    listeners.response({ headers: { date: 'Tue, 01 Oct 2019 12:00:05 GMT' } })
+    expect(serverNow()).toBe(NOW + 5000)
+  })
+})
@@ -0,0 +1,88 @@
+/*
+ * Registry of the currencies a charge can be paid in and the networks they
+ * are sent on.
+ *
+ * `decimals` is the precision of the currency's base unit (satoshis, wei...)
+ * and `blockTime` the network's typical seconds between blocks.
+ * ERC-20 tokens also carry their `contract` address on each Ethereum network
+ * they were deployed to, since tokens are sent by calling the contract rather
+ * than to the charge's address directly.
+ */
+export const CURRENCIES = {
+  BTC: { name: 'Bitcoin', network: 'bitcoin', decimals: 8, blockTime: 600 },
+  BCH: { name: 'Bitcoin Cash', network: 'bitcoincash', decimals: 8, blockTime: 600 },
+  LTC: { name: 'Litecoin', network: 'litecoin', decimals: 8, blockTime: 150 },
+  ETH: { name: 'Ethereum', network: 'ethereum', decimals: 18, blockTime: 15 },
+  USDC: {
+    name: 'USD Coin',
+    network: 'usdc',
+    decimals: 6,
+    blockTime: 15,
+    contract: {
+      mainnet: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+      ropsten: '0x07865c6e87b9f70255377e024ace6630c1eaa37f',
+    },
+  },
+  // test tokens, for trying payments without spending real money
+  TST: {
+    name: 'Test Standard Token',
+    network: 'tst',
+    decimals: 18,
+    blockTime: 15,
+    contract: {
+      ropsten: '0x722dd3f80bac40c951b51bdd28dd19d435762180',
+    },
+  },
+}
+
+/// EIP-155 chain ids of the Ethereum networks contracts live on
+export const CHAIN_IDS = {
+  mainnet: 1,
+  ropsten: 3,
+}
+
+/// chain the checkout's ether and token payments go to; 1 is mainnet, 3 ropsten
+export const ETH_CHAIN_ID = Number(process.env.REACT_APP_ETH_CHAIN_ID) || CHAIN_IDS.mainnet
+
+export const ETH_DECIMALS = CURRENCIES.ETH.decimals
+
+export const CURRENCIES_BY_NETWORK = {}
+export const NETWORKS_BY_CURRENCY = {}
+Object.keys(CURRENCIES).forEach(currency => {
+  CURRENCIES_BY_NETWORK[CURRENCIES[currency].network] = currency
+  NETWORKS_BY_CURRENCY[currency] = CURRENCIES[currency].network
+})
+
+/// falls back to the raw key for networks the checkout doesn't know yet
+export const networkName = (network) => {
+  const currency = CURRENCIES_BY_NETWORK[network]
+  return currency ? CURRENCIES[currency].name : network
+}
+
+export const networkCurrency = (network) => CURRENCIES_BY_NETWORK[network] || network.toUpperCase()
+
+/// seconds between blocks on a network, null for networks the checkout doesn't know
+export const networkBlockTime = (network) => {
+  const currency = CURRENCIES_BY_NETWORK[network]
+  return currency ? CURRENCIES[currency].blockTime : null
+}
+
+export const currencyDecimals = (currency) => {
+  if (!CURRENCIES[currency]) {
+    throw new Error(`unknown currency ${currency}`)
+  }
+  return CURRENCIES[currency].decimals
+}
+
+/*
+ * The contract of an ERC-20 token on the chain with `chainId`, with its
+ * decimals; null for anything else, including tokens not deployed there.
+ */
+export const contractInfo = (currency, chainId = ETH_CHAIN_ID) => {
+  const info = CURRENCIES[currency]
+  const network = Object.keys(CHAIN_IDS).find(name => CHAIN_IDS[name] === chainId)
+  if (!info || !info.contract || !info.contract[network]) {
+    return null
+  }
+  return { network, address: info.contract[network], chainId, decimals: info.decimals }
+}
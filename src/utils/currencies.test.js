@@ -0,0 +1,33 @@
+import { CHAIN_IDS, contractInfo } from './currencies'
+
+describe('contractInfo', () => {
+  it('finds a token on the checkout chain', () => {
+    expect(contractInfo('USDC')).toEqual({
+      network: 'mainnet',
+      address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+      chainId: CHAIN_IDS.mainnet,
+      decimals: 6,
+    })
+  })
+
+  it('finds a token on a testnet', () => {
+    expect(contractInfo('USDC', CHAIN_IDS.ropsten)).toEqual({
+      network: 'ropsten',
+      address: '0x07865c6e87b9f70255377e024ace6630c1eaa37f',
+      chainId: CHAIN_IDS.ropsten,
+      decimals: 6,
+    })
+    expect(contractInfo('TST', CHAIN_IDS.ropsten).address).toBe('0x722dd3f80bac40c951b51bdd28dd19d435762180')
+  })
+
+  it('is null for tokens not deployed on the chain', () => {
+    expect(contractInfo('TST', CHAIN_IDS.mainnet)).toBe(null)
+    expect(contractInfo('USDC', 42)).toBe(null)
+  })
+
+  it('is null for currencies that are not tokens', () => {
+    expect(contractInfo('ETH')).toBe(null)
+    expect(contractInfo('BTC')).toBe(null)
+    expect(contractInfo('XYZ')).toBe(null)
+  })
+})
@@ -0,0 +1,68 @@
+/*
+ * Messages to the page embedding the checkout in an iframe.
+ *
+ * Every message is a plain object
+ *
+ *   { source: 'resthooks-checkout', version: 1, type, code }
+ *
+ * posted to the parent window. Bump EMBED_VERSION whenever a message changes
+ * shape, so host pages can tell which checkout they talk to.
+ */
+export const EMBED_SOURCE = 'resthooks-checkout'
+export const EMBED_VERSION = 1
+
+export const EMBED_EVENTS = {
+  paymentDetected: 'charge:payment-detected',
+  success: 'charge:confirmed',
+  failure: 'charge:failed',
+  underpaid: 'charge:underpaid',
+  overpaid: 'charge:overpaid',
+  delayed: 'charge:delayed',
+  cancel: 'charge:canceled',
+  close: 'checkout:closed',
+}
+
+/// comparing windows never throws, even across origins
+export const IS_EMBEDDED = window.parent !== window
+
+/// origins allowed to embed the checkout, from REACT_APP_EMBED_ORIGINS (comma separated)
+const ALLOWED_ORIGINS = (process.env.REACT_APP_EMBED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin
+  } catch (e) {
+    return null
+  }
+}
+
+/*
+ * The embedding page passes its origin as ?origin=; the referrer covers
+ * pages linking the iframe themselves. Either way it has to be on the
+ * allow-list, and posting to it exactly means the browser drops messages
+ * if the parent turns out to be some other page.
+ */
+const findHostOrigin = () => {
+  if (!IS_EMBEDDED) {
+    return null
+  }
+  const origin = new URLSearchParams(window.location.search).get('origin') || originOf(document.referrer)
+  if (!ALLOWED_ORIGINS.includes(origin)) {
+    console.warn('embed: origin not allowed', origin)
+    return null
+  }
+  return origin
+}
+
+const hostOrigin = findHostOrigin()
+
+/// posts an event to the host page, if there is an allowed one
+export const sendEmbedEvent = (type, code) => {
+  if (!hostOrigin) {
+    return
+  }
+  window.parent.postMessage({ source: EMBED_SOURCE, version: EMBED_VERSION, type, code }, hostOrigin)
+}
@@ -0,0 +1,79 @@
+const SHOP = 'https://shop.example'
+const OTHER = 'https://other.example'
+
+const parent = { postMessage: jest.fn() }
+
+/// embed.js settles on the host origin when it loads, so load it afresh for each page
+const loadEmbed = ({ embedded = true, search = '', referrer = '', allowed = SHOP } = {}) => {
+  process.env.REACT_APP_EMBED_ORIGINS = allowed
+  window.history.replaceState(null, '', `/charges/E4N8R2XC${search}`)
+  Object.defineProperty(document, 'referrer', { configurable: true, get: () => referrer })
+  Object.defineProperty(window, 'parent', { configurable: true, get: () => (embedded ? parent : window) })
+  jest.resetModules()
+  return require('./embed')
+}
+
+const posted = () => parent.postMessage.mock.calls
+
+beforeEach(() => {
+  parent.postMessage.mockClear()
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  delete process.env.REACT_APP_EMBED_ORIGINS
+  delete document.referrer
+  delete window.parent
+  console.warn.mockRestore()
+})
+
+describe('sendEmbedEvent', () => {
+  it('posts to the origin the embedding page passed', () => {
+    const embed = loadEmbed({ search: `?origin=${encodeURIComponent(SHOP)}` })
+    expect(embed.IS_EMBEDDED).toBe(true)
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.success, 'E4N8R2XC')
+    expect(posted()).toEqual([[
+      { source: 'resthooks-checkout', version: 1, type: 'charge:confirmed', code: 'E4N8R2XC' },
+      SHOP,
+    ]])
+  })
+
+  it("falls back to the referrer's origin", () => {
+    const embed = loadEmbed({ referrer: `${SHOP}/cart?step=pay` })
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.close, 'E4N8R2XC')
+    expect(posted()[0][1]).toBe(SHOP)
+  })
+
+  it('takes any origin on the comma separated allow-list', () => {
+    const embed = loadEmbed({ search: `?origin=${encodeURIComponent(OTHER)}`, allowed: `${SHOP}, ${OTHER}` })
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.close, 'E4N8R2XC')
+    expect(posted()[0][1]).toBe(OTHER)
+  })
+
+  it('posts nothing to an origin off the allow-list', () => {
+    const embed = loadEmbed({ search: `?origin=${encodeURIComponent(OTHER)}`, referrer: `${SHOP}/cart` })
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.success, 'E4N8R2XC')
+    expect(posted()).toEqual([])
+    expect(console.warn).toHaveBeenCalledWith('embed: origin not allowed', OTHER)
+  })
+
+  it('posts nothing without an allow-list', () => {
+    const embed = loadEmbed({ search: `?origin=${encodeURIComponent(SHOP)}`, allowed: '' })
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.success, 'E4N8R2XC')
+    expect(posted()).toEqual([])
+  })
+
+  it('posts nothing for an unparsable referrer', () => {
+    const embed = loadEmbed({ referrer: 'not a url' })
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.success, 'E4N8R2XC')
+    expect(posted()).toEqual([])
+  })
+
+  it('posts nothing outside an iframe', () => {
+    const embed = loadEmbed({ embedded: false, search: `?origin=${encodeURIComponent(SHOP)}` })
+    expect(embed.IS_EMBEDDED).toBe(false)
+    embed.sendEmbedEvent(embed.EMBED_EVENTS.success, 'E4N8R2XC')
+    expect(posted()).toEqual([])
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,61 @@
+import { CURRENCIES } from 'utils/currencies'
+import { parseMoney, toBaseUnits } from 'utils/money'
+
+/// plenty for a token transfer; wallets show the actual fee
+export const ERC20_GAS_LIMIT = 100000
+
+/// first 4 bytes of keccak256('transfer(address,uint256)')
+const TRANSFER_SELECTOR = 'a9059cbb'
+
+/// hex digits (without 0x) of a non-negative integer given as a decimal string
+export const decimalToHex = (decimal) => {
+  let digits = decimal.split('').map(Number)
+  let hex = ''
+  while (digits.length) {
+    // long division by 16, most significant digit first
+    let remainder = 0
+    const quotient = []
+    digits.forEach(digit => {
+      const value = remainder * 10 + digit
+      if (quotient.length || value >= 16) {
+        quotient.push(Math.floor(value / 16))
+      }
+      remainder = value % 16
+    })
+    hex = remainder.toString(16) + hex
+    digits = quotient
+  }
+  return hex || '0'
+}
+
+/// ABI encodes an address as a 32 byte word
+export const encodeAddress = (address) => {
+  const hex = address.toLowerCase().replace(/^0x/, '')
+  if (!/^[0-9a-f]{40}$/.test(hex)) {
+    throw new Error(`invalid address ${address}`)
+  }
+  return hex.padStart(64, '0')
+}
+
+/// ABI encodes an integer, given as a decimal string, as a 32 byte word
+export const encodeUint256 = (decimal) => {
+  const hex = decimalToHex(decimal)
+  if (hex.length > 64) {
+    throw new Error(`${decimal} does not fit in a uint256`)
+  }
+  return hex.padStart(64, '0')
+}
+
+/*
+ * Calldata for an ERC-20 transfer(to, amount) of `price`, where the amount is
+ * converted to the token's base units using the registry's decimals. The
+ * calldata is the same whichever chain the contract is on.
+ */
+export const encodeErc20Transfer = (to, price) => {
+  const info = CURRENCIES[price.currency]
+  if (!info || !info.contract) {
+    throw new Error(`${price.currency} is not an ERC-20 token`)
+  }
+  const amount = toBaseUnits(parseMoney(price))
+  return `0x${TRANSFER_SELECTOR}${encodeAddress(to)}${encodeUint256(amount)}`
+}
@@ -0,0 +1,81 @@
+import { decimalToHex, encodeAddress, encodeErc20Transfer, encodeUint256 } from './erc20'
+
+const TO = '0x2A3aC1a7E8a2b7B3e7fA6B2d6F2b4B29c3E1F0A7'
+const TO_WORD = '0000000000000000000000002a3ac1a7e8a2b7b3e7fa6b2d6f2b4b29c3e1f0a7'
+
+const UINT256_MAX = '115792089237316195423570985008687907853269984665640564039457584007913129639935'
+const UINT256_OVERFLOW = '115792089237316195423570985008687907853269984665640564039457584007913129639936'
+
+describe('decimalToHex', () => {
+  it('converts small numbers', () => {
+    expect(decimalToHex('0')).toBe('0')
+    expect(decimalToHex('15')).toBe('f')
+    expect(decimalToHex('16')).toBe('10')
+    expect(decimalToHex('255')).toBe('ff')
+    expect(decimalToHex('100000')).toBe('186a0')
+  })
+
+  it('converts numbers beyond the safe integer range', () => {
+    expect(decimalToHex('9007199254740993')).toBe('20000000000001')
+    expect(decimalToHex('1500000000000000000')).toBe('14d1120d7b160000')
+    expect(decimalToHex(UINT256_MAX)).toBe('f'.repeat(64))
+    expect(decimalToHex(UINT256_OVERFLOW)).toBe(`1${'0'.repeat(64)}`)
+  })
+})
+
+describe('encodeAddress', () => {
+  it('lowercases and left pads to a word', () => {
+    expect(encodeAddress(TO)).toBe(TO_WORD)
+  })
+
+  it('rejects anything but 20 bytes of hex', () => {
+    expect(() => encodeAddress('0x2a3ac1a7')).toThrow('invalid address 0x2a3ac1a7')
+    expect(() => encodeAddress(`0x${'g'.repeat(40)}`)).toThrow('invalid address')
+  })
+})
+
+describe('encodeUint256', () => {
+  it('left pads to a word', () => {
+    expect(encodeUint256('0')).toBe('0'.repeat(64))
+    expect(encodeUint256('1')).toBe(`${'0'.repeat(63)}1`)
+  })
+
+  it('fits the largest uint256', () => {
+    expect(encodeUint256(UINT256_MAX)).toBe('f'.repeat(64))
+  })
+
+  it('overflows at 2^256', () => {
+    expect(() => encodeUint256(UINT256_OVERFLOW)).toThrow(`${UINT256_OVERFLOW} does not fit in a uint256`)
+  })
+})
+
+describe('encodeErc20Transfer', () => {
+  it('encodes a USDC transfer in 6 decimal base units', () => {
+    // transfer(to, 10000000): 10 USDC
+    expect(encodeErc20Transfer(TO, { amount: '10.000000', currency: 'USDC' })).toBe(
+      '0xa9059cbb'
+      + TO_WORD
+      + '0000000000000000000000000000000000000000000000000000000000989680'
+    )
+  })
+
+  it('encodes the smallest USDC amount', () => {
+    expect(encodeErc20Transfer(TO, { amount: '0.000001', currency: 'USDC' })).toBe(
+      `0xa9059cbb${TO_WORD}${'0'.repeat(63)}1`
+    )
+  })
+
+  it('encodes an 18 decimal token transfer', () => {
+    // transfer(to, 1500000000000000000): 1.5 TST
+    expect(encodeErc20Transfer(TO, { amount: '1.5', currency: 'TST' })).toBe(
+      '0xa9059cbb'
+      + TO_WORD
+      + '00000000000000000000000000000000000000000000000014d1120d7b160000'
+    )
+  })
+
+  it('rejects currencies that are not tokens', () => {
+    expect(() => encodeErc20Transfer(TO, { amount: '1', currency: 'ETH' })).toThrow('ETH is not an ERC-20 token')
+    expect(() => encodeErc20Transfer(TO, { amount: '1', currency: 'BTC' })).toThrow('BTC is not an ERC-20 token')
+  })
+})
@@ -0,0 +1,12 @@
+/// copy the API's error type ({ error: { type, message } } bodies) onto the error
+export const withApiErrorType = (error) => {
+  const body = error.response && error.response.body
+  if (body && body.error && body.error.type) {
+    error.type = body.error.type
+  }
+  return error
+}
+
+export const isMaintenanceError = (error) => (
+  !!error && error.status === 503 && error.type === 'maintenance'
+)
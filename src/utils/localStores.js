@@ -0,0 +1,82 @@
+// localStorage throws on access in some browsers (e.g. private mode in Safari),
+// so probe it once up front instead of guarding every call site
+const isLocalStorageAvailable = () => {
+  try {
+    const key = '__resthooks_probe__'
+    window.localStorage.setItem(key, key)
+    window.localStorage.removeItem(key)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+export const IS_LOCAL_STORAGE_AVAILABLE = isLocalStorageAvailable()
+
+/// the parts of the Storage interface we use, kept in memory for this page only
+const memoryStorage = () => {
+  const items = new Map()
+  return {
+    get length() {
+      return items.size
+    },
+    key: index => Array.from(items.keys())[index] || null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  }
+}
+
+const storage = IS_LOCAL_STORAGE_AVAILABLE ? window.localStorage : memoryStorage()
+
+const PREFIX = 'resthooks:'
+const CHARGE_PREFIX = `${PREFIX}charge:`
+const CACHE_KEY = `${PREFIX}cache`
+
+const DEFAULT_LIFETIME = 3600 * 1000 // one hour, like a charge
+
+/*
+ * Entries are stored as { data, expiresAt } and dropped once they expire,
+ * so stale state never outlives what it describes.
+ */
+const write = (key, data, expiresAt) => {
+  const expires = Date.parse(expiresAt)
+  const entry = { data, expiresAt: Number.isNaN(expires) ? Date.now() + DEFAULT_LIFETIME : expires }
+  try {
+    storage.setItem(key, JSON.stringify(entry))
+  } catch (e) {
+    // most likely out of quota; persisting is best effort, so go without
+  }
+}
+
+const read = (key) => {
+  let entry
+  try {
+    entry = JSON.parse(storage.getItem(key))
+  } catch (e) {
+    entry = null
+  }
+  if (!entry || !(entry.expiresAt > Date.now())) {
+    storage.removeItem(key)
+    return null
+  }
+  return entry.data
+}
+
+/// checkout state for a charge, kept until the charge expires
+export const saveStore = (code, data, expiresAt) => write(CHARGE_PREFIX + code, data, expiresAt)
+
+export const loadStore = (code) => read(CHARGE_PREFIX + code)
+
+export const saveCacheSnapshot = (state, expiresAt) => write(CACHE_KEY, state, expiresAt)
+
+export const loadCacheSnapshot = () => read(CACHE_KEY)
+
+/// sweeps out everything that expired since the last visit
+export const clearExpiredStores = () => {
+  const keys = []
+  for (let i = 0; i < storage.length; i++) {
+    keys.push(storage.key(i))
+  }
+  keys.filter(key => key && key.startsWith(PREFIX)).forEach(read)
+}
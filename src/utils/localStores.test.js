@@ -0,0 +1,108 @@
+import {
+  IS_LOCAL_STORAGE_AVAILABLE,
+  clearExpiredStores,
+  loadCacheSnapshot,
+  loadStore,
+  saveCacheSnapshot,
+  saveStore,
+} from './localStores'
+
+const HOUR = 3600 * 1000
+const inAnHour = () => new Date(Date.now() + HOUR).toISOString()
+const anHourAgo = () => new Date(Date.now() - HOUR).toISOString()
+
+const stored = (key) => JSON.parse(window.localStorage.getItem(key))
+
+beforeEach(() => {
+  window.localStorage.clear()
+})
+
+describe('localStores', () => {
+  it('uses localStorage where it works', () => {
+    expect(IS_LOCAL_STORAGE_AVAILABLE).toBe(true)
+    saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, inAnHour())
+    expect(stored('resthooks:charge:E4N8R2XC').data).toEqual({ pickedNetwork: 'bitcoin' })
+  })
+
+  it('loads what was saved until it expires', () => {
+    saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, inAnHour())
+    saveCacheSnapshot({ entities: {} }, inAnHour())
+    expect(loadStore('E4N8R2XC')).toEqual({ pickedNetwork: 'bitcoin' })
+    expect(loadCacheSnapshot()).toEqual({ entities: {} })
+    expect(loadStore('OTHER')).toBe(null)
+  })
+
+  it('drops entries once they expire', () => {
+    saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, anHourAgo())
+    expect(window.localStorage.getItem('resthooks:charge:E4N8R2XC')).not.toBe(null)
+    expect(loadStore('E4N8R2XC')).toBe(null)
+    expect(window.localStorage.getItem('resthooks:charge:E4N8R2XC')).toBe(null)
+  })
+
+  it('keeps entries without a valid expiry for an hour', () => {
+    const now = Date.now()
+    saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, undefined)
+    const { expiresAt } = stored('resthooks:charge:E4N8R2XC')
+    expect(expiresAt).toBeGreaterThanOrEqual(now + HOUR)
+    expect(expiresAt).toBeLessThan(now + HOUR + 1000)
+  })
+
+  it('drops entries it cannot read', () => {
+    window.localStorage.setItem('resthooks:charge:E4N8R2XC', '{not json')
+    expect(loadStore('E4N8R2XC')).toBe(null)
+    expect(window.localStorage.getItem('resthooks:charge:E4N8R2XC')).toBe(null)
+  })
+
+  it('goes without saving when storage is full', () => {
+    const error = jest.spyOn(console, 'error')
+    const setItem = jest.spyOn(window.localStorage.__proto__, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError')
+    })
+    expect(() => saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, inAnHour())).not.toThrow()
+    setItem.mockRestore()
+    expect(error).not.toHaveBeenCalled()
+    error.mockRestore()
+    expect(loadStore('E4N8R2XC')).toBe(null)
+  })
+
+  it('sweeps out expired entries and leaves the rest alone', () => {
+    saveStore('EXPIRED1', { pickedNetwork: 'bitcoin' }, anHourAgo())
+    saveStore('CURRENT1', { pickedNetwork: 'ethereum' }, inAnHour())
+    saveCacheSnapshot({ entities: {} }, anHourAgo())
+    window.localStorage.setItem('someone-else', 'untouched')
+
+    clearExpiredStores()
+    expect(window.localStorage.getItem('resthooks:charge:EXPIRED1')).toBe(null)
+    expect(window.localStorage.getItem('resthooks:cache')).toBe(null)
+    expect(loadStore('CURRENT1')).toEqual({ pickedNetwork: 'ethereum' })
+    expect(window.localStorage.getItem('someone-else')).toBe('untouched')
+  })
+})
+
+describe('localStores without localStorage', () => {
+  let stores
+
+  beforeAll(() => {
+    // as in Safari's private mode, where storing anything throws
+    const setItem = jest.spyOn(window.localStorage.__proto__, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError')
+    })
+    jest.resetModules()
+    stores = require('./localStores')
+    setItem.mockRestore()
+  })
+
+  it('keeps entries in memory for the page', () => {
+    expect(stores.IS_LOCAL_STORAGE_AVAILABLE).toBe(false)
+    stores.saveStore('E4N8R2XC', { pickedNetwork: 'bitcoin' }, inAnHour())
+    expect(stores.loadStore('E4N8R2XC')).toEqual({ pickedNetwork: 'bitcoin' })
+  })
+
+  it('still drops expired entries', () => {
+    stores.saveStore('EXPIRED1', { pickedNetwork: 'bitcoin' }, anHourAgo())
+    stores.saveStore('CURRENT1', { pickedNetwork: 'ethereum' }, inAnHour())
+    stores.clearExpiredStores()
+    expect(stores.loadStore('EXPIRED1')).toBe(null)
+    expect(stores.loadStore('CURRENT1')).toEqual({ pickedNetwork: 'ethereum' })
+  })
+})
@@ -0,0 +1,52 @@
+/*
+ * Minimal history-based navigation; the app only has a couple of routes.
+ */
+const listeners = new Set()
+
+export const navigate = (path) => {
+  window.history.pushState(null, '', path)
+  listeners.forEach(listener => listener())
+}
+
+/// like navigate, without adding a history entry
+export const replaceLocation = (path) => {
+  const { pathname, search } = window.location
+  if (path === pathname + search) {
+    return
+  }
+  window.history.replaceState(null, '', path)
+  listeners.forEach(listener => listener())
+}
+
+export const subscribeLocation = (listener) => {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
+
+export const CHARGE_LIST_PATH = '/charges'
+
+export const chargePath = (code) => `${CHARGE_LIST_PATH}/${code}`
+
+/// a path with the given query params set on top of `search`; empty ones are left out
+export const withQuery = (pathname, query, search = '') => {
+  const params = new URLSearchParams(search)
+  Object.keys(query).forEach(key => {
+    if (query[key]) {
+      params.set(key, query[key])
+    } else {
+      params.delete(key)
+    }
+  })
+  const queryString = params.toString()
+  return queryString ? `${pathname}?${queryString}` : pathname
+}
+
+/// the order code in a /charges/:code path
+export const matchChargePath = (pathname) => {
+  const match = /^\/charges\/([A-Za-z0-9]+)\/?$/.exec(pathname)
+  return match ? match[1] : null
+}
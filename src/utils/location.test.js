@@ -0,0 +1,16 @@
+import { withQuery } from './location'
+
+describe('withQuery', () => {
+  it('leaves out empty params', () => {
+    expect(withQuery('/charges', { status: 'NEW', search: '', page: null })).toBe('/charges?status=NEW')
+    expect(withQuery('/charges', { status: null })).toBe('/charges')
+  })
+
+  it('keeps the params already in the search', () => {
+    const search = '?origin=https%3A%2F%2Fshop.example&network=bitcoin'
+    expect(withQuery('/charges/E4N8R2XC', { network: 'ethereum' }, search))
+      .toBe('/charges/E4N8R2XC?origin=https%3A%2F%2Fshop.example&network=ethereum')
+    expect(withQuery('/charges/E4N8R2XC', { network: null }, search))
+      .toBe('/charges/E4N8R2XC?origin=https%3A%2F%2Fshop.example')
+  })
+})
@@ -0,0 +1,257 @@
+import { CURRENCIES } from 'utils/currencies'
+
+/*
+ * Exact decimal money.
+ *
+ * API amounts are strings like '0.055000000'; going through Number loses
+ * precision for 18 decimal ETH amounts and rounds small BTC values near the
+ * send limits. Money keeps the amount as an integer count of the currency's
+ * smallest unit instead:
+ *
+ *   Money:  { units: string, scale: number, currency: string }
+ *
+ * where the value is units / 10^scale and units is a decimal integer string
+ * (with a leading '-' when negative). Integers are handled as digit strings,
+ * so no BigInt support is needed.
+ */
+
+/// decimal places of fiat currencies; anything not listed has 2
+const FIAT_PRECISION = {
+  JPY: 0,
+  KRW: 0,
+}
+
+/// the number of decimal places of a currency's smallest unit
+export const precision = (currency) => {
+  if (CURRENCIES[currency]) {
+    return CURRENCIES[currency].decimals
+  }
+  return currency in FIAT_PRECISION ? FIAT_PRECISION[currency] : 2
+}
+
+const isCrypto = (currency) => !!CURRENCIES[currency]
+
+/* unsigned integer strings */
+
+const trimZeros = (digits) => digits.replace(/^0+(?=\d)/, '')
+
+const compareDigits = (a, b) => {
+  if (a.length !== b.length) {
+    return a.length < b.length ? -1 : 1
+  }
+  return a === b ? 0 : (a < b ? -1 : 1)
+}
+
+const addDigits = (a, b) => {
+  let result = ''
+  let carry = 0
+  for (let i = a.length - 1, j = b.length - 1; i >= 0 || j >= 0 || carry; i--, j--) {
+    const sum = (i >= 0 ? Number(a[i]) : 0) + (j >= 0 ? Number(b[j]) : 0) + carry
+    result = (sum % 10) + result
+    carry = sum >= 10 ? 1 : 0
+  }
+  return trimZeros(result)
+}
+
+/// a - b, for a >= b
+const subtractDigits = (a, b) => {
+  let result = ''
+  let borrow = 0
+  for (let i = a.length - 1, j = b.length - 1; i >= 0; i--, j--) {
+    let difference = Number(a[i]) - (j >= 0 ? Number(b[j]) : 0) - borrow
+    borrow = difference < 0 ? 1 : 0
+    difference += borrow * 10
+    result = difference + result
+  }
+  return trimZeros(result)
+}
+
+const multiplyDigits = (a, b) => {
+  const product = new Array(a.length + b.length).fill(0)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      const sum = product[i + j + 1] + Number(a[i]) * Number(b[j])
+      product[i + j + 1] = sum % 10
+      product[i + j] += Math.floor(sum / 10)
+    }
+  }
+  return trimZeros(product.join(''))
+}
+
+/// long division; [quotient, remainder]
+const divideDigits = (a, b) => {
+  let quotient = ''
+  let remainder = '0'
+  for (let i = 0; i < a.length; i++) {
+    remainder = trimZeros(remainder + a[i])
+    let digit = 0
+    while (compareDigits(remainder, b) >= 0) {
+      remainder = subtractDigits(remainder, b)
+      digit++
+    }
+    quotient += digit
+  }
+  return [trimZeros(quotient), remainder]
+}
+
+const pow10 = (digits, places) => (digits === '0' ? '0' : digits + '0'.repeat(places))
+
+/* signed integer strings */
+
+const split = (units) => (units[0] === '-' ? [-1, units.slice(1)] : [1, units])
+
+const join = (sign, digits) => (sign < 0 && digits !== '0' ? '-' + digits : digits)
+
+const addUnits = (a, b) => {
+  const [signA, digitsA] = split(a)
+  const [signB, digitsB] = split(b)
+  if (signA === signB) {
+    return join(signA, addDigits(digitsA, digitsB))
+  }
+  return compareDigits(digitsA, digitsB) >= 0
+    ? join(signA, subtractDigits(digitsA, digitsB))
+    : join(signB, subtractDigits(digitsB, digitsA))
+}
+
+const negateUnits = (units) => (units[0] === '-' ? units.slice(1) : join(-1, units))
+
+/// a decimal string as [units, scale], e.g. '0.0550' -> ['550', 4]
+export const parseDecimal = (amount) => {
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(String(amount).trim())
+  if (!match || !(match[2] || match[3])) {
+    throw new Error(`invalid amount ${amount}`)
+  }
+  const [, minus, whole, fraction = ''] = match
+  return [join(minus ? -1 : 1, trimZeros(whole + fraction || '0')), fraction.length]
+}
+
+/// the same amount with `scale` decimal places; throws rather than lose precision
+const rescale = (money, scale) => {
+  const [sign, digits] = split(money.units)
+  if (scale >= money.scale) {
+    return { ...money, units: join(sign, pow10(digits, scale - money.scale)), scale }
+  }
+  const padded = digits.padStart(money.scale - scale + 1, '0')
+  const kept = padded.slice(0, padded.length - (money.scale - scale))
+  if (/[^0]/.test(padded.slice(kept.length))) {
+    throw new Error(`${toDecimalString(money)} ${money.currency} has more than ${scale} decimals`)
+  }
+  return { ...money, units: join(sign, trimZeros(kept)), scale }
+}
+
+/*
+ * Money from an API CryptoMoney like { amount: '0.055', currency: 'ETH' },
+ * scaled to the currency's precision. Crypto amounts with more decimals than
+ * the currency has are rejected; fiat ones keep their extra places.
+ */
+export const parseMoney = ({ amount, currency }) => {
+  const [units, scale] = parseDecimal(amount)
+  const places = precision(currency)
+  return rescale({ units, scale, currency }, isCrypto(currency) ? places : Math.max(places, scale))
+}
+
+const sameCurrency = (a, b) => {
+  if (a.currency !== b.currency) {
+    throw new Error(`can't combine ${a.currency} with ${b.currency}`)
+  }
+  const scale = Math.max(a.scale, b.scale)
+  return [rescale(a, scale), rescale(b, scale)]
+}
+
+/// -1, 0 or 1 as a is less than, equal to or greater than b
+export const compareMoney = (a, b) => {
+  const [x, y] = sameCurrency(a, b)
+  const [signX, digitsX] = split(x.units)
+  const [signY, digitsY] = split(y.units)
+  if (signX !== signY) {
+    return signX < signY ? -1 : 1
+  }
+  return signX * compareDigits(digitsX, digitsY)
+}
+
+export const isLessThan = (a, b) => compareMoney(a, b) < 0
+
+export const isGreaterThan = (a, b) => compareMoney(a, b) > 0
+
+export const addMoney = (a, b) => {
+  const [x, y] = sameCurrency(a, b)
+  return { ...x, units: addUnits(x.units, y.units) }
+}
+
+export const subtractMoney = (a, b) => {
+  const [x, y] = sameCurrency(a, b)
+  return { ...x, units: addUnits(x.units, negateUnits(y.units)) }
+}
+
+export const isZero = (money) => money.units === '0'
+
+/*
+ * Converts money with an exchange rate { from, to }: `from` in money's
+ * currency is worth `to`. The result is in the rate's `to` currency,
+ * rounded half up to that currency's precision.
+ */
+export const convertMoney = (money, { from, to }) => {
+  if (from.currency !== money.currency) {
+    throw new Error(`can't convert ${money.currency} with a ${from.currency} rate`)
+  }
+  const [fromUnits, fromScale] = parseDecimal(from.amount)
+  const [toUnits, toScale] = parseDecimal(to.amount)
+  const [sign, digits] = split(money.units)
+  if (fromUnits === '0' || fromUnits[0] === '-' || toUnits[0] === '-') {
+    throw new Error(`invalid exchange rate ${from.amount} ${from.currency} = ${to.amount} ${to.currency}`)
+  }
+  const scale = precision(to.currency)
+  // value * to / from, in units of the target scale
+  const numerator = pow10(multiplyDigits(digits, toUnits), scale + fromScale)
+  const denominator = pow10(fromUnits, money.scale + toScale)
+  const [quotient, remainder] = divideDigits(numerator, denominator)
+  const roundUp = compareDigits(multiplyDigits(remainder, '2'), denominator) >= 0
+  return {
+    units: join(sign, roundUp ? addDigits(quotient, '1') : quotient),
+    scale,
+    currency: to.currency,
+  }
+}
+
+/// the amount as a plain decimal string with all of its places, like '0.055000000'
+export const toDecimalString = (money) => {
+  const [sign, digits] = split(money.units)
+  if (!money.scale) {
+    return join(sign, digits)
+  }
+  const padded = digits.padStart(money.scale + 1, '0')
+  const point = padded.length - money.scale
+  return join(sign, `${padded.slice(0, point)}.${padded.slice(point)}`)
+}
+
+/*
+ * The amount for people to read: fiat with exactly its places ('1,499.00'),
+ * crypto without trailing zeros but at least 2 places ('0.00121', '10.00').
+ */
+export const formatMoney = (money, { grouping = true } = {}) => {
+  let decimal = toDecimalString(money)
+  if (isCrypto(money.currency) && decimal.includes('.')) {
+    const minimum = Math.min(2, money.scale)
+    const [whole, fraction] = decimal.split('.')
+    const trimmed = fraction.replace(/0+$/, '').padEnd(minimum, '0')
+    decimal = trimmed ? `${whole}.${trimmed}` : whole
+  }
+  if (!grouping) {
+    return decimal
+  }
+  const [whole, fraction] = decimal.split('.')
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+  return fraction === undefined ? grouped : `${grouped}.${fraction}`
+}
+
+/// the amount as an integer string of the currency's smallest unit (satoshis, wei...)
+export const toBaseUnits = (money) => {
+  const { units } = rescale(money, precision(money.currency))
+  if (units[0] === '-') {
+    throw new Error(`negative amount ${toDecimalString(money)} ${money.currency}`)
+  }
+  return units
+}
+
+/// an API CryptoMoney for display, like '1,499.00 USD'
+export const formatPrice = (price) => `${formatMoney(parseMoney(price))} ${price.currency}`
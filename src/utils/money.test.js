@@ -0,0 +1,147 @@
+import {
+  addMoney,
+  compareMoney,
+  convertMoney,
+  formatMoney,
+  isGreaterThan,
+  isLessThan,
+  parseMoney,
+  subtractMoney,
+  toBaseUnits,
+  toDecimalString,
+} from './money'
+
+const btc = (amount) => parseMoney({ amount, currency: 'BTC' })
+const eth = (amount) => parseMoney({ amount, currency: 'ETH' })
+const usd = (amount) => parseMoney({ amount, currency: 'USD' })
+
+const rate = (from, to) => ({ from, to })
+
+describe('parseMoney', () => {
+  it("scales crypto to the currency's precision", () => {
+    expect(btc('0.00121')).toEqual({ units: '121000', scale: 8, currency: 'BTC' })
+    expect(eth('0.055000000')).toEqual({ units: '55000000000000000', scale: 18, currency: 'ETH' })
+  })
+
+  it('accepts trailing zeros past the precision', () => {
+    expect(btc('0.1000000000')).toEqual({ units: '10000000', scale: 8, currency: 'BTC' })
+  })
+
+  it('rejects crypto with more decimals than the currency has', () => {
+    expect(() => btc('0.000000001')).toThrow('0.000000001 BTC has more than 8 decimals')
+    expect(() => parseMoney({ amount: '1.0000001', currency: 'USDC' })).toThrow('has more than 6 decimals')
+  })
+
+  it('keeps the extra places of fiat amounts', () => {
+    expect(usd('1.005')).toEqual({ units: '1005', scale: 3, currency: 'USD' })
+    expect(usd('12')).toEqual({ units: '1200', scale: 2, currency: 'USD' })
+  })
+
+  it('rejects anything but decimals', () => {
+    expect(() => usd('1e3')).toThrow('invalid amount 1e3')
+    expect(() => usd('.')).toThrow('invalid amount .')
+    expect(() => usd('')).toThrow('invalid amount')
+  })
+})
+
+describe('compareMoney', () => {
+  const limit = btc('0.0001')
+
+  it('tells amounts a satoshi apart around 0.0001 BTC', () => {
+    expect(compareMoney(btc('0.00009999'), limit)).toBe(-1)
+    expect(compareMoney(btc('0.00010000'), limit)).toBe(0)
+    expect(compareMoney(btc('0.00010001'), limit)).toBe(1)
+    expect(isLessThan(btc('0.00009999'), limit)).toBe(true)
+    expect(isGreaterThan(btc('0.0001'), limit)).toBe(false)
+  })
+
+  it('compares across signs and scales', () => {
+    expect(compareMoney(usd('-0.01'), usd('0'))).toBe(-1)
+    expect(compareMoney(usd('-2'), usd('-1.999'))).toBe(-1)
+    expect(compareMoney(usd('1000.001'), usd('1000'))).toBe(1)
+  })
+
+  it("won't compare different currencies", () => {
+    expect(() => compareMoney(btc('1'), eth('1'))).toThrow("can't combine BTC with ETH")
+  })
+})
+
+describe('addMoney and subtractMoney', () => {
+  it('stays exact for 18 decimal amounts', () => {
+    expect(toDecimalString(addMoney(eth('0.1'), eth('0.2')))).toBe('0.300000000000000000')
+    expect(toDecimalString(subtractMoney(eth('0.055'), eth('0.055000000000000001')))).toBe('-0.000000000000000001')
+  })
+})
+
+describe('convertMoney', () => {
+  it('rounds half up to the target precision', () => {
+    const oneCent = rate({ amount: '1', currency: 'BTC' }, { amount: '0.005', currency: 'USD' })
+    expect(convertMoney(btc('1'), oneCent)).toEqual({ units: '1', scale: 2, currency: 'USD' })
+    const underHalf = rate({ amount: '1', currency: 'BTC' }, { amount: '0.00499999', currency: 'USD' })
+    expect(convertMoney(btc('1'), underHalf)).toEqual({ units: '0', scale: 2, currency: 'USD' })
+  })
+
+  it('rounds negative amounts away from zero', () => {
+    const oneCent = rate({ amount: '1', currency: 'BTC' }, { amount: '0.005', currency: 'USD' })
+    expect(toDecimalString(convertMoney(btc('-1'), oneCent))).toBe('-0.01')
+  })
+
+  it('converts with a rate quoted for any amount', () => {
+    // 0.00121 BTC at 8,261.05 USD is 9.9958705 USD
+    const btcUsd = rate({ amount: '1', currency: 'BTC' }, { amount: '8261.05', currency: 'USD' })
+    expect(toDecimalString(convertMoney(btc('0.00121'), btcUsd))).toBe('10.00')
+    const usdBtc = rate({ amount: '100', currency: 'USD' }, { amount: '0.01210500', currency: 'BTC' })
+    expect(toDecimalString(convertMoney(usd('10'), usdBtc))).toBe('0.00121050')
+  })
+
+  it('uses the precision of currencies without cents', () => {
+    const btcJpy = rate({ amount: '1', currency: 'BTC' }, { amount: '1000000.5', currency: 'JPY' })
+    expect(convertMoney(btc('0.00121'), btcJpy)).toEqual({ units: '1210', scale: 0, currency: 'JPY' })
+  })
+
+  it('rejects mismatched and invalid rates', () => {
+    expect(() => convertMoney(eth('1'), rate({ amount: '1', currency: 'BTC' }, { amount: '1', currency: 'USD' })))
+      .toThrow("can't convert ETH with a BTC rate")
+    expect(() => convertMoney(btc('1'), rate({ amount: '0', currency: 'BTC' }, { amount: '1', currency: 'USD' })))
+      .toThrow('invalid exchange rate')
+  })
+})
+
+describe('toBaseUnits', () => {
+  it('gives wei for 18 decimal amounts beyond the safe integer range', () => {
+    expect(toBaseUnits(eth('0.055000000'))).toBe('55000000000000000')
+    expect(toBaseUnits(eth('1.000000000000000001'))).toBe('1000000000000000001')
+    expect(toBaseUnits(eth('123456789.123456789123456789'))).toBe('123456789123456789123456789')
+  })
+
+  it('gives satoshis and token units', () => {
+    expect(toBaseUnits(btc('0.00121'))).toBe('121000')
+    expect(toBaseUnits(parseMoney({ amount: '10', currency: 'USDC' }))).toBe('10000000')
+    expect(toBaseUnits(eth('0'))).toBe('0')
+  })
+
+  it('rejects negative amounts', () => {
+    expect(() => toBaseUnits(eth('-1'))).toThrow('negative amount -1.000000000000000000 ETH')
+  })
+})
+
+describe('formatMoney', () => {
+  it('shows fiat with exactly its places and grouped thousands', () => {
+    expect(formatMoney(usd('1499'))).toBe('1,499.00')
+    expect(formatMoney(usd('1234567.5'))).toBe('1,234,567.50')
+    expect(formatMoney(usd('-1234.5'))).toBe('-1,234.50')
+    expect(formatMoney(parseMoney({ amount: '1500', currency: 'JPY' }))).toBe('1,500')
+  })
+
+  it('trims crypto to at least 2 places', () => {
+    expect(formatMoney(btc('0.00121000'))).toBe('0.00121')
+    expect(formatMoney(btc('10'))).toBe('10.00')
+    expect(formatMoney(btc('0.1'))).toBe('0.10')
+    expect(formatMoney(eth('0.000000000000000001'))).toBe('0.000000000000000001')
+  })
+
+  it('groups crypto unless asked not to', () => {
+    expect(formatMoney(eth('1234.5'))).toBe('1,234.50')
+    expect(formatMoney(eth('1234.5'), { grouping: false })).toBe('1234.50')
+  })
+})
@@ -0,0 +1,86 @@
+import { isUnpriced, shouldShowPayWithCoinbase } from 'utils/charge'
+import { isGreaterThan, isLessThan, parseMoney } from 'utils/money'
+
+export const COINBASE_USD_UPPER_SEND_LIMIT = parseMoney({ amount: '1000', currency: 'USD' })
+export const COINBASE_CRYPTO_LOWER_SEND_LIMIT = {
+  BTC: '0.0001',
+  BCH: '0.00001',
+  LTC: '0.001',
+  ETH: '0.001',
+  USDC: '0.001',
+  BEER: '0.001',
+  TST: '0.001',
+}
+
+/*
+ * Why Pay with Coinbase can't be used, keyed by id. The limits are checked
+ * up front; the rest are reported back by the Coinbase sign in.
+ */
+export const PWCB_ERRORS = {
+  oauth: {
+    id: 'oauth',
+    title: 'Checkout Error',
+    message: `YubiKey authentication is currently unsupported for Pay with Coinbase.`,
+  },
+  chargeOverLimit: {
+    id: 'chargeOverLimit',
+    title: 'Charge Error',
+    message: 'The price of this item is greater than the maximum send amount on Coinbase.',
+  },
+  chargeBelowLimit: {
+    id: 'chargeBelowLimit',
+    title: 'Charge Error',
+    message: 'The price of this item is less than the minimum send amount on Coinbase.',
+  },
+  yubikey: {
+    id: 'yubikey',
+    title: 'Authentication Error',
+    message: 'YubiKey authentication is currently unsupported for Pay with Coinbase.',
+  },
+  insufficientFunds: {
+    id: 'insufficientFunds',
+    title: 'Insufficient Funds',
+    message: 'You do not have sufficient funds in your Coinbase account. Please choose another payment option.',
+  },
+}
+
+/// true when every currency of the charge is below Coinbase's minimum send amount
+export const isChargeBelowLowerSendLimit = (charge) => {
+  // Do not set limits for donations
+  if (isUnpriced(charge)) {
+    return false
+  }
+  const networks = Object.keys(charge.addresses)
+  return networks.length > 0 && networks.every(network => {
+    // an address without a price can't be sent with Coinbase either
+    if (!charge.pricing[network]) {
+      return true
+    }
+    const price = parseMoney(charge.pricing[network])
+    const limit = COINBASE_CRYPTO_LOWER_SEND_LIMIT[price.currency] || '0'
+    return isLessThan(price, parseMoney({ amount: limit, currency: price.currency }))
+  })
+}
+
+/// `usdAmount` is the charge's price as USD Money, or null while it isn't known
+export const isChargeAboveUpperSendLimit = (usdAmount) => (
+  usdAmount !== null && isGreaterThan(usdAmount, COINBASE_USD_UPPER_SEND_LIMIT)
+)
+
+/*
+ * Whether to offer Pay with Coinbase for a charge, and if so whether it can
+ * be used. Options that can't be used stay visible with the error explaining
+ * why. `errorId` is an error the Coinbase sign in already ran into.
+ */
+export const payWithCoinbaseEligibility = (charge, { usdAmount = null, errorId = null } = {}) => {
+  if (!shouldShowPayWithCoinbase(charge)) {
+    return { visible: false, enabled: false, error: null }
+  }
+  let id = errorId
+  if (!id && isChargeBelowLowerSendLimit(charge)) {
+    id = 'chargeBelowLimit'
+  } else if (!id && isChargeAboveUpperSendLimit(usdAmount)) {
+    id = 'chargeOverLimit'
+  }
+  return { visible: true, enabled: !id, error: id ? PWCB_ERRORS[id] : null }
+}
@@ -0,0 +1,109 @@
+import { parseMoney } from 'utils/money'
+import { PWCB_ERRORS, payWithCoinbaseEligibility } from './payWithCoinbase'
+
+const fixedPrice = (pricing) => ({
+  code: 'E4N8R2XC',
+  pricingType: 'fixed_price',
+  addresses: Object.keys(pricing).reduce((addresses, network) => ({ ...addresses, [network]: `${network}-address` }), {}),
+  pricing,
+})
+
+const usd = (amount) => parseMoney({ amount, currency: 'USD' })
+
+const ENABLED = { visible: true, enabled: true, error: null }
+
+describe('payWithCoinbaseEligibility', () => {
+  it('is enabled for a charge within the limits', () => {
+    const charge = fixedPrice({
+      bitcoin: { amount: '0.00121000', currency: 'BTC' },
+      ethereum: { amount: '0.055000000', currency: 'ETH' },
+    })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('10.00') })).toEqual(ENABLED)
+  })
+
+  it('is disabled when every network is below the minimum send amount', () => {
+    const charge = fixedPrice({
+      bitcoin: { amount: '0.00009000', currency: 'BTC' },
+      ethereum: { amount: '0.000500000', currency: 'ETH' },
+    })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('0.90') })).toEqual({
+      visible: true,
+      enabled: false,
+      error: PWCB_ERRORS.chargeBelowLimit,
+    })
+  })
+
+  it('stays enabled when only some networks are below the minimum', () => {
+    const charge = fixedPrice({
+      bitcoin: { amount: '0.00009000', currency: 'BTC' },
+      bitcoincash: { amount: '0.00300000', currency: 'BCH' },
+    })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('0.90') })).toEqual(ENABLED)
+  })
+
+  it('leaves out addresses without a price', () => {
+    const charge = {
+      ...fixedPrice({ bitcoin: { amount: '0.00121000', currency: 'BTC' } }),
+      addresses: { bitcoin: 'bitcoin-address', litecoin: 'litecoin-address' },
+    }
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('10.00') })).toEqual(ENABLED)
+    expect(payWithCoinbaseEligibility({ ...charge, pricing: {} }, { usdAmount: usd('10.00') })).toEqual({
+      visible: true,
+      enabled: false,
+      error: PWCB_ERRORS.chargeBelowLimit,
+    })
+  })
+
+  it('takes the minimum itself as sendable', () => {
+    const charge = fixedPrice({ bitcoin: { amount: '0.00010000', currency: 'BTC' } })
+    expect(payWithCoinbaseEligibility(charge).enabled).toBe(true)
+  })
+
+  it('is disabled above the USD send limit', () => {
+    const charge = fixedPrice({ bitcoin: { amount: '0.12000000', currency: 'BTC' } })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('1000.01') })).toEqual({
+      visible: true,
+      enabled: false,
+      error: PWCB_ERRORS.chargeOverLimit,
+    })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('1000.00') })).toEqual(ENABLED)
+  })
+
+  it('ignores the USD limit while the USD price is unknown', () => {
+    const charge = fixedPrice({ bitcoin: { amount: '0.12000000', currency: 'BTC' } })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: null })).toEqual(ENABLED)
+  })
+
+  it('is hidden for donations', () => {
+    const charge = {
+      code: 'DONATE01',
+      pricingType: 'no_price',
+      addresses: { bitcoin: 'bitcoin-address' },
+    }
+    expect(payWithCoinbaseEligibility(charge)).toEqual({ visible: false, enabled: false, error: null })
+  })
+
+  it('reports an error from the Coinbase sign in over the limits', () => {
+    const charge = fixedPrice({ bitcoin: { amount: '0.00009000', currency: 'BTC' } })
+    expect(payWithCoinbaseEligibility(charge, { usdAmount: usd('2000.00'), errorId: 'insufficientFunds' })).toEqual({
+      visible: true,
+      enabled: false,
+      error: PWCB_ERRORS.insufficientFunds,
+    })
+  })
+
+  it('is hidden without localStorage', () => {
+    // as in Safari's private mode, where storing anything throws
+    jest.resetModules()
+    jest.doMock('./localStores', () => ({ IS_LOCAL_STORAGE_AVAILABLE: false }))
+    const isolated = require('./payWithCoinbase')
+    jest.dontMock('./localStores')
+
+    const charge = fixedPrice({ bitcoin: { amount: '0.00121000', currency: 'BTC' } })
+    expect(isolated.payWithCoinbaseEligibility(charge, { usdAmount: usd('10.00') })).toEqual({
+      visible: false,
+      enabled: false,
+      error: null,
+    })
+  })
+})
@@ -0,0 +1,45 @@
+import { CURRENCIES_BY_NETWORK, ETH_CHAIN_ID, contractInfo } from 'utils/currencies'
+import { formatMoney, parseMoney, toBaseUnits } from 'utils/money'
+
+/// BIP21 schemes; the amount is in whole coins
+const BIP21_SCHEMES = {
+  bitcoin: 'bitcoin',
+  bitcoincash: 'bitcoincash',
+  litecoin: 'litecoin',
+}
+
+const bip21Uri = (scheme, address, price) => {
+  // cashaddr addresses may already carry their prefix
+  const uri = address.includes(':') ? address : `${scheme}:${address}`
+  return price ? `${uri}?amount=${formatMoney(parseMoney(price), { grouping: false })}` : uri
+}
+
+/*
+ * EIP-681: plain ether transfers carry the value in wei, token transfers
+ * call the contract's transfer(address,uint256) with the amount in base units.
+ */
+const eip681Uri = (currency, address, price) => {
+  if (currency === 'ETH') {
+    const uri = `ethereum:${address}@${ETH_CHAIN_ID}`
+    return price ? `${uri}?value=${toBaseUnits(parseMoney(price))}` : uri
+  }
+  const contract = contractInfo(currency)
+  const uri = `ethereum:${contract.address}@${contract.chainId}/transfer?address=${address}`
+  return price ? `${uri}&uint256=${toBaseUnits(parseMoney(price))}` : uri
+}
+
+/*
+ * The URI a wallet needs to pay `price` to `address` on `network`, or null
+ * for networks without a known URI format. Charges without a price (donations)
+ * get a URI without an amount.
+ */
+export const paymentUri = (network, address, price) => {
+  if (BIP21_SCHEMES[network]) {
+    return bip21Uri(BIP21_SCHEMES[network], address, price)
+  }
+  const currency = CURRENCIES_BY_NETWORK[network]
+  if (currency === 'ETH' || contractInfo(currency)) {
+    return eip681Uri(currency, address, price)
+  }
+  return null
+}
@@ -0,0 +1,57 @@
+import { paymentUri } from './paymentUri'
+
+const ETH_ADDRESS = '0x2a3ac1a7e8a2b7b3e7fa6b2d6f2b4b29c3e1f0a7'
+const USDC_CONTRACT = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'
+
+describe('paymentUri', () => {
+  describe('BIP21', () => {
+    it('encodes bitcoin with the amount in whole coins', () => {
+      expect(paymentUri('bitcoin', '3MbcpG8UoksPs6bhzbvD6fnTgKbRmTF4aS', { amount: '0.00121000', currency: 'BTC' }))
+        .toBe('bitcoin:3MbcpG8UoksPs6bhzbvD6fnTgKbRmTF4aS?amount=0.00121')
+    })
+
+    it('prefixes a bare cashaddr with bitcoincash:', () => {
+      expect(paymentUri('bitcoincash', 'qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c', { amount: '0.04380000', currency: 'BCH' }))
+        .toBe('bitcoincash:qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c?amount=0.0438')
+    })
+
+    it('keeps the prefix a cashaddr already has', () => {
+      expect(paymentUri('bitcoincash', 'bitcoincash:qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c', { amount: '1.00000000', currency: 'BCH' }))
+        .toBe('bitcoincash:qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c?amount=1.00')
+    })
+
+    it('encodes litecoin without grouping large amounts', () => {
+      expect(paymentUri('litecoin', 'MJ4W7JqjE5K2yJ3wqz3Ab9XnYGmbn2iJQS', { amount: '1234.50000000', currency: 'LTC' }))
+        .toBe('litecoin:MJ4W7JqjE5K2yJ3wqz3Ab9XnYGmbn2iJQS?amount=1234.50')
+    })
+
+    it('leaves the amount out without a price', () => {
+      expect(paymentUri('bitcoin', '3MbcpG8UoksPs6bhzbvD6fnTgKbRmTF4aS'))
+        .toBe('bitcoin:3MbcpG8UoksPs6bhzbvD6fnTgKbRmTF4aS')
+      expect(paymentUri('bitcoincash', 'bitcoincash:qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c'))
+        .toBe('bitcoincash:qz2z5mnl4cfhs7t2q5kzsxg4k7dwxjsuyqqnvh0e2c')
+    })
+  })
+
+  describe('EIP-681', () => {
+    it('gives ether transfers their value in wei', () => {
+      expect(paymentUri('ethereum', ETH_ADDRESS, { amount: '0.055000000', currency: 'ETH' }))
+        .toBe(`ethereum:${ETH_ADDRESS}@1?value=55000000000000000`)
+    })
+
+    it('calls transfer on the USDC contract with the amount in base units', () => {
+      expect(paymentUri('usdc', ETH_ADDRESS, { amount: '10.000000', currency: 'USDC' }))
+        .toBe(`ethereum:${USDC_CONTRACT}@1/transfer?address=${ETH_ADDRESS}&uint256=10000000`)
+    })
+
+    it('leaves the value out without a price', () => {
+      expect(paymentUri('ethereum', ETH_ADDRESS)).toBe(`ethereum:${ETH_ADDRESS}@1`)
+      expect(paymentUri('usdc', ETH_ADDRESS))
+        .toBe(`ethereum:${USDC_CONTRACT}@1/transfer?address=${ETH_ADDRESS}`)
+    })
+  })
+
+  it('is null for networks without a known URI format', () => {
+    expect(paymentUri('dogecoin', 'DH5yaieqoZN36fDVciNyRueRGvGLR3mr7L')).toBe(null)
+  })
+})
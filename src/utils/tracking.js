@@ -0,0 +1,139 @@
+/*
+ * Checkout analytics.
+ *
+ * Every tracked event has the same shape, whichever sink it goes to:
+ *
+ *   TrackingEvent: {
+ *     version: 1, name: string, time: ISO string, sessionId: string,
+ *     userId: ?string, userProperties: {}, properties: {}
+ *   }
+ *
+ * A sink is { send(event), flush() }; events go to every sink added with
+ * addTrackingSink. Tracking is best effort, so a failing sink never breaks
+ * the checkout.
+ */
+export const TRACKING_VERSION = 1
+
+const sessionId = Math.random().toString(36).slice(2) + Date.now().toString(36)
+let userId = null
+let userProperties = {}
+const sinks = new Set()
+
+const eachSink = (method, ...args) => {
+  sinks.forEach(sink => {
+    try {
+      sink[method](...args)
+    } catch (e) {
+      console.error('tracking', e)
+    }
+  })
+}
+
+export const setTrackingUserId = (id) => {
+  userId = id
+}
+
+export const setUserProperty = (name, value) => {
+  userProperties = { ...userProperties, [name]: value }
+}
+
+export const track = (name, properties = {}) => {
+  eachSink('send', {
+    version: TRACKING_VERSION,
+    name,
+    time: new Date().toISOString(),
+    sessionId,
+    userId,
+    userProperties,
+    properties,
+  })
+}
+
+export const flushTracking = () => eachSink('flush')
+
+/// returns a function removing the sink again
+export const addTrackingSink = (sink) => {
+  sinks.add(sink)
+  return () => {
+    sink.flush()
+    sinks.delete(sink)
+  }
+}
+
+/* sinks */
+
+export const consoleSink = () => ({
+  send: (event) => console.info('track', event.name, event.properties),
+  flush: () => {},
+})
+
+/// keeps every event in `events`, for tests
+export const memorySink = () => {
+  const sink = {
+    events: [],
+    send: (event) => {
+      sink.events.push(event)
+    },
+    flush: () => {},
+    clear: () => {
+      sink.events = []
+    },
+  }
+  return sink
+}
+
+/*
+ * Posts events to `url` in batches of { events: [...] }, once `batchSize`
+ * have queued up or `flushInterval` ms after the first one. sendBeacon still
+ * delivers while the page unloads; fetch is the fallback where it's missing.
+ */
+export const beaconSink = ({ url, batchSize = 20, flushInterval = 5000 }) => {
+  let queue = []
+  let timeoutId = null
+
+  const flush = () => {
+    clearTimeout(timeoutId)
+    timeoutId = null
+    if (!queue.length) {
+      return
+    }
+    const body = JSON.stringify({ events: queue })
+    queue = []
+    if (navigator.sendBeacon && navigator.sendBeacon(url, body)) {
+      return
+    }
+    fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+      .catch(e => console.error('tracking beacon', e))
+  }
+
+  const send = (event) => {
+    queue.push(event)
+    if (queue.length >= batchSize) {
+      flush()
+    } else if (!timeoutId) {
+      timeoutId = setTimeout(flush, flushInterval)
+    }
+  }
+
+  return { send, flush }
+}
+
+/*
+ * Adds the sinks this build is configured for: the beacon when
+ * REACT_APP_TRACKING_URL is set, and the console during development. Queued
+ * events are flushed whenever the page is hidden, as it may never come back.
+ */
+export const setupTracking = () => {
+  if (process.env.REACT_APP_TRACKING_URL) {
+    addTrackingSink(beaconSink({ url: process.env.REACT_APP_TRACKING_URL }))
+  }
+  if (process.env.NODE_ENV === 'development') {
+    addTrackingSink(consoleSink())
+  }
+  window.addEventListener('pagehide', flushTracking)
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      flushTracking()
+    }
+  })
+}
@@ -0,0 +1,161 @@
+import {
+  TRACKING_VERSION,
+  addTrackingSink,
+  beaconSink,
+  memorySink,
+  setTrackingUserId,
+  setUserProperty,
+  setupTracking,
+  track,
+} from './tracking'
+
+const URL = 'https://tracking.example.com/events'
+
+const sentEvents = (body) => JSON.parse(body).events.map(event => event.name)
+
+describe('track', () => {
+  let sink
+  let removeSink
+
+  beforeEach(() => {
+    sink = memorySink()
+    removeSink = addTrackingSink(sink)
+  })
+
+  afterEach(() => {
+    removeSink()
+    setTrackingUserId(null)
+  })
+
+  it('sends every sink the same versioned event', () => {
+    const other = memorySink()
+    const removeOther = addTrackingSink(other)
+    setTrackingUserId('E4N8R2XC')
+    setUserProperty('charge_pricing_type', 'fixed_price')
+    track('checkout:payment-detected', { network: 'bitcoin' })
+    removeOther()
+
+    expect(sink.events).toHaveLength(1)
+    expect(other.events).toEqual(sink.events)
+    const [event] = sink.events
+    expect(event).toMatchObject({
+      version: TRACKING_VERSION,
+      name: 'checkout:payment-detected',
+      userId: 'E4N8R2XC',
+      userProperties: { charge_pricing_type: 'fixed_price' },
+      properties: { network: 'bitcoin' },
+    })
+    expect(typeof event.sessionId).toBe('string')
+    expect(new Date(event.time).toISOString()).toBe(event.time)
+  })
+
+  it('stops sending to removed sinks', () => {
+    removeSink()
+    track('checkout:payment-completed')
+    expect(sink.events).toEqual([])
+  })
+
+  it('keeps going when a sink throws', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const removeBroken = addTrackingSink({
+      send: () => {
+        throw new Error('broken sink')
+      },
+      flush: () => {},
+    })
+    expect(() => track('checkout:payment-failed')).not.toThrow()
+    removeBroken()
+    console.error.mockRestore()
+    expect(sink.events.map(event => event.name)).toEqual(['checkout:payment-failed'])
+  })
+})
+
+describe('beaconSink', () => {
+  const event = (name) => ({ version: TRACKING_VERSION, name, properties: {} })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    navigator.sendBeacon = jest.fn(() => true)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    delete navigator.sendBeacon
+    delete window.fetch
+  })
+
+  it('posts a batch once it is full', () => {
+    const sink = beaconSink({ url: URL, batchSize: 3 })
+    sink.send(event('a'))
+    sink.send(event('b'))
+    expect(navigator.sendBeacon).not.toHaveBeenCalled()
+    sink.send(event('c'))
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1)
+    const [url, body] = navigator.sendBeacon.mock.calls[0]
+    expect(url).toBe(URL)
+    expect(sentEvents(body)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('posts what has queued up after the flush interval', () => {
+    const sink = beaconSink({ url: URL, flushInterval: 5000 })
+    sink.send(event('a'))
+    jest.advanceTimersByTime(4999)
+    sink.send(event('b'))
+    expect(navigator.sendBeacon).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(1)
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1)
+    expect(sentEvents(navigator.sendBeacon.mock.calls[0][1])).toEqual(['a', 'b'])
+
+    jest.advanceTimersByTime(10000)
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1)
+  })
+
+  it('posts nothing when flushed empty', () => {
+    beaconSink({ url: URL }).flush()
+    expect(navigator.sendBeacon).not.toHaveBeenCalled()
+  })
+
+  it('falls back to fetch when the beacon is refused', () => {
+    navigator.sendBeacon = jest.fn(() => false)
+    window.fetch = jest.fn(() => Promise.resolve())
+    const sink = beaconSink({ url: URL })
+    sink.send(event('a'))
+    sink.flush()
+    expect(window.fetch).toHaveBeenCalledWith(URL, expect.objectContaining({ method: 'POST', keepalive: true }))
+    expect(sentEvents(window.fetch.mock.calls[0][1].body)).toEqual(['a'])
+  })
+})
+
+describe('setupTracking', () => {
+  let sink
+  let removeSink
+
+  beforeAll(() => {
+    setupTracking()
+  })
+
+  beforeEach(() => {
+    sink = { send: jest.fn(), flush: jest.fn() }
+    removeSink = addTrackingSink(sink)
+  })
+
+  afterEach(() => {
+    removeSink()
+    delete document.hidden
+  })
+
+  it('flushes when the page is hidden', () => {
+    window.dispatchEvent(new Event('pagehide'))
+    expect(sink.flush).toHaveBeenCalledTimes(1)
+  })
+
+  it('flushes when the document becomes hidden, not when it shows again', () => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => false })
+    document.dispatchEvent(new Event('visibilitychange'))
+    expect(sink.flush).not.toHaveBeenCalled()
+
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => true })
+    document.dispatchEvent(new Event('visibilitychange'))
+    expect(sink.flush).toHaveBeenCalledTimes(1)
+  })
+})